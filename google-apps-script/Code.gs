@@ -3,64 +3,657 @@
  * To be installed as a "Bound" script in the Google Sheet.
  */
 
-const MIDDLEWARE_URL = "https://xyz.com/sheets-webhook"; // Update with your deployed URL
+const MIDDLEWARE_BATCH_URL = "https://xyz.com/sheets-batch-webhook"; // Update with your deployed URL
+const MIDDLEWARE_DELETE_URL = "https://xyz.com/sheets-delete-webhook"; // Same host, delete endpoint
+
+// Key header(s) per tab, matching the table's primaryKey in mirror.config.json.
+// Tabs not listed use "id". Composite keys list every column, e.g. ["order_id", "item_id"].
+const KEY_HEADERS = {};
+
+// Tabs starting with "_" (e.g. the _conflicts inbox) are written by the middleware, never synced
+function isInternalTab(sheet) {
+  return sheet.getName().charAt(0) === "_";
+}
+
+// Properties cap each value at 9KB, so retry queues are stored in chunks
+const SNAPSHOT_CHUNK_SIZE = 8000;
+// Hidden tab with the last seen row keys of every tab, used to detect deleted rows
+const ID_SNAPSHOT_TAB = "_id_snapshots";
+
+// Rows per batch request. The middleware processes them one after another,
+// so this keeps each request well inside the UrlFetch timeout.
+const BATCH_SIZE = 50;
+// Rows not sent within this time are left to the retry queue (runs stop at 6 minutes)
+const SEND_BUDGET_MS = 4 * 60 * 1000;
+// Queued rows per tab; the oldest are dropped past this to stay inside the Properties quota
+const RETRY_QUEUE_MAX = 1000;
 
 /**
- * Triggered on any edit in the spreadsheet.
+ * Triggered on any edit in the spreadsheet. Sends every edited row in
+ * batches to the middleware; rows that fail to send go to the retry queue.
+ * Each row names the edited columns, so only those cells are applied. Apps
+ * Script only reports the old value of single-cell edits; for bulk edits the
+ * middleware takes the old values from its last synced copy of the row, which
+ * (unlike a copy kept here) also sees the middleware's own writes to the tab.
  */
 function onEdit(e) {
   const sheet = e.source.getActiveSheet();
+  if (isInternalTab(sheet)) return;
   const range = e.range;
-  const startRow = range.getRow();
-  const numRows = range.getNumRows();
-
-  // Skip if entirely in header row
-  if (startRow === 1 && numRows === 1) return;
-
-  // Handle single row or bulk edit
-  // Note: Apps Script onEdit is limited for massive pastes.
-  // For safety, we process each row but limit total rows in one event.
-  const limit = Math.min(numRows, 100); // Caps at 100 rows to prevent execution timeout
-
-  for (let i = 0; i < limit; i++) {
-    const currentRow = startRow + i;
-    if (currentRow === 1) continue; // Skip header
-
-    const rowData = sheet
-      .getRange(currentRow, 1, 1, sheet.getLastColumn())
-      .getValues()[0];
-    const id = rowData[0];
-    if (!id) continue;
-
-    const payload = {
-      row: rowData,
-      table: sheet.getName(),
-      timestamp: new Date().toISOString(),
-    };
-
-    const options = {
-      method: "post",
-      contentType: "application/json",
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true,
-      headers: {
-        "X-Sheets-Source": "GoogleAppsScript",
-      },
-    };
-
-    try {
-      UrlFetchApp.fetch(MIDDLEWARE_URL, options);
-    } catch (err) {
-      console.error("Sync Error on row " + currentRow + ":", err.message);
+  // Reported with conflicts so the editor can be told their change was dropped
+  const editor = e.user ? e.user.getEmail() : "";
+  const startRow = Math.max(range.getRow(), 2); // Skip header
+  const endRow = range.getLastRow();
+  if (endRow < startRow) return;
+
+  const headers = readHeaders(sheet);
+  const keyIndexes = getKeyIndexes(sheet, headers);
+  if (!keyIndexes) {
+    console.error("Tab " + sheet.getName() + " is missing its key header(s)");
+    return;
+  }
+
+  const columns = headers
+    .slice(range.getColumn() - 1, range.getLastColumn())
+    .filter(function (h) {
+      return h !== "";
+    });
+  if (columns.length === 0) return;
+  const oldValues = {};
+  if (range.getNumRows() === 1 && columns.length === 1 && e.oldValue !== undefined) {
+    oldValues[columns[0]] = e.oldValue;
+  }
+
+  const timestamp = new Date().toISOString();
+  const values = sheet
+    .getRange(startRow, 1, endRow - startRow + 1, sheet.getLastColumn())
+    .getValues();
+  const rows = [];
+  values.forEach(function (row, i) {
+    const id = rowKey(row, keyIndexes);
+    if (!id) return;
+    rows.push({
+      id: id,
+      row: row,
+      rowNumber: startRow + i,
+      timestamp: timestamp,
+      editor: editor,
+      columns: columns,
+      oldValues: oldValues,
+    });
+  });
+
+  sendRows(sheet.getName(), rows, Date.now());
+}
+
+/**
+ * Sends rows in batches of BATCH_SIZE. Rows that hit a network or server
+ * error, or that don't fit in the time budget, go to the retry queue. Rows
+ * the middleware rejects (4xx) would fail again, so they are only logged.
+ * @returns {number} - Rows queued for retry.
+ */
+function sendRows(table, rows, startedAt) {
+  const failed = [];
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+    if (Date.now() - startedAt > SEND_BUDGET_MS) {
+      failed.push.apply(failed, batch);
+    } else {
+      failed.push.apply(failed, sendBatch(table, batch));
+    }
+  }
+  if (failed.length > 0) queueForRetry(table, failed);
+  return failed.length;
+}
+
+/**
+ * Writes Date cells as ISO strings in the spreadsheet's timezone. Sent as is,
+ * they become UTC instants, and a date cell east of UTC reads as the day before.
+ */
+function formatRow(row) {
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  return row.map(function (value) {
+    return value instanceof Date
+      ? Utilities.formatDate(value, timeZone, "yyyy-MM-dd'T'HH:mm:ss.SSSXXX")
+      : value;
+  });
+}
+
+/**
+ * POSTs one batch and returns the rows that should be retried.
+ */
+function sendBatch(table, rows) {
+  const payload = {
+    table: table,
+    timestamp: new Date().toISOString(),
+    rows: rows.map(function (r) {
+      return {
+        row: formatRow(r.row),
+        rowNumber: r.rowNumber,
+        timestamp: r.timestamp,
+        editor: r.editor,
+        columns: r.columns,
+        oldValues: r.oldValues,
+      };
+    }),
+  };
+
+  try {
+    const response = signedFetch(MIDDLEWARE_BATCH_URL, payload);
+    const code = response.getResponseCode();
+    if (code === 403) {
+      // The middleware's routing rules don't send this table to this spreadsheet
+      console.error("Batch for " + table + " rejected: " + response.getContentText());
+      return [];
+    }
+    if (code !== 200) {
+      console.error("Batch sync failed for " + table + ": HTTP " + code);
+      return rows;
+    }
+    const results = JSON.parse(response.getContentText()).results || [];
+    return rows.filter(function (r, i) {
+      const result = results[i];
+      if (!result || result.status >= 500) return true;
+      if (result.status >= 400) {
+        console.error("Row " + r.rowNumber + " of " + table + " rejected: " + result.result);
+      }
+      return false;
+    });
+  } catch (err) {
+    console.error("Batch sync error for " + table + ":", err.message);
+    return rows;
+  }
+}
+
+/**
+ * Adds rows to the tab's retry queue: row key -> { t: edit time, e: editor,
+ * c: edited columns, o: old values }. Cell contents aren't kept; the flush
+ * sends the row's contents at that time.
+ */
+function queueForRetry(table, rows) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const queue = loadChunked("retryq:" + table) || {};
+    rows.forEach(function (r) {
+      const entry = queue[r.id] || { t: r.timestamp, e: r.editor, c: [], o: {} };
+      // A newer edit of the same row wins
+      if (entry.t < r.timestamp) {
+        entry.t = r.timestamp;
+        entry.e = r.editor;
+      }
+      // Without columns (queued by an older version) the whole row is resent
+      if (entry.c && r.columns) {
+        r.columns.forEach(function (column) {
+          if (entry.c.indexOf(column) === -1) entry.c.push(column);
+        });
+      } else {
+        entry.c = null;
+      }
+      // The first old value is the one the database still holds
+      entry.o = entry.o || {};
+      Object.keys(r.oldValues || {}).forEach(function (column) {
+        if (!(column in entry.o)) entry.o[column] = r.oldValues[column];
+      });
+      queue[r.id] = entry;
+    });
+
+    const ids = Object.keys(queue).sort(function (a, b) {
+      return queue[a].t < queue[b].t ? -1 : 1;
+    });
+    if (ids.length > RETRY_QUEUE_MAX) {
+      const dropped = ids.slice(0, ids.length - RETRY_QUEUE_MAX);
+      dropped.forEach(function (id) {
+        delete queue[id];
+      });
+      console.error("Retry queue for " + table + " is full; dropped " + dropped.length + " oldest rows");
+    }
+    saveChunked("retryq:" + table, queue);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Removes and returns a queue saved with saveChunked ("retryq:" or "deleteq:" + tab).
+ */
+function takeQueue(prefix) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const queue = loadChunked(prefix) || {};
+    clearChunked(prefix);
+    return queue;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Time-driven trigger (added by setupTrigger). Resends queued deletes of rows
+ * that are still gone, then queued rows with their current contents; rows
+ * deleted from the tab since are dropped.
+ */
+function flushRetryQueue() {
+  const startedAt = Date.now();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tables = [];
+  const deleteTables = [];
+  PropertiesService.getDocumentProperties()
+    .getKeys()
+    .forEach(function (key) {
+      const match = key.match(/^(retryq|deleteq):(.*):chunks$/);
+      if (match) (match[1] === "retryq" ? tables : deleteTables).push(match[2]);
+    });
+
+  deleteTables.forEach(function (table) {
+    const queue = takeQueue("deleteq:" + table);
+    const sheet = ss.getSheetByName(table);
+    const currentIds = sheet ? readIdColumn(sheet) : null;
+    if (!currentIds) {
+      console.error("Dropping delete queue for " + table + ": tab or key header(s) missing");
+      return;
+    }
+    // A row that is back (undo, paste) is no longer deleted
+    currentIds.forEach(function (id) {
+      delete queue[id];
+    });
+    const ids = Object.keys(queue);
+    if (ids.length === 0) return;
+
+    // Row numbers are stale by now, so only the keys are sent
+    const sent = sendDeletes(
+      table,
+      ids.map(function (id) {
+        return { id: keyForSending(id) };
+      }),
+    );
+    if (!sent) queueDeletes(table, queue);
+    console.log("Delete queue for " + table + ": " + (sent ? "sent " : "still queued ") + ids.length);
+  });
+
+  tables.forEach(function (table) {
+    const queue = takeQueue("retryq:" + table);
+    if (Object.keys(queue).length === 0) return;
+
+    const sheet = ss.getSheetByName(table);
+    const keyIndexes = sheet ? getKeyIndexes(sheet, readHeaders(sheet)) : null;
+    if (!keyIndexes) {
+      console.error("Dropping retry queue for " + table + ": tab or key header(s) missing");
+      return;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return;
+
+    const rows = [];
+    sheet
+      .getRange(2, 1, lastRow - 1, sheet.getLastColumn())
+      .getValues()
+      .forEach(function (row, i) {
+        const id = rowKey(row, keyIndexes);
+        if (!id || !queue[id]) return;
+        rows.push({
+          id: id,
+          row: row,
+          rowNumber: i + 2,
+          timestamp: queue[id].t,
+          editor: queue[id].e,
+          columns: queue[id].c,
+          oldValues: queue[id].o,
+        });
+        delete queue[id];
+      });
+
+    const retried = sendRows(table, rows, startedAt);
+    console.log(
+      "Retry queue for " + table + ": sent " + (rows.length - retried) + ", still queued " + retried,
+    );
+  });
+}
+
+/**
+ * Installable ON_CHANGE trigger. Detects deleted rows by comparing the ID
+ * column with the last saved snapshot and reports them to the middleware.
+ */
+function onChange(e) {
+  const sheet = e.source.getActiveSheet();
+  if (isInternalTab(sheet)) return;
+  const table = sheet.getName();
+  const currentIds = readIdColumn(sheet);
+  if (!currentIds) return; // No key header(s) on this tab
+
+  if (e.changeType === "REMOVE_ROW") {
+    const previousIds = loadIdSnapshot(table);
+    if (previousIds) {
+      const remaining = {};
+      currentIds.forEach(function (id) {
+        remaining[id] = true;
+      });
+
+      // Snapshot index i is sheet row i + 2 (row 1 holds the headers)
+      const removed = [];
+      const deletes = {};
+      const deletedAt = new Date().toISOString();
+      previousIds.forEach(function (id, i) {
+        if (id && !remaining[id]) {
+          removed.push({ id: keyForSending(id), row: i + 2 });
+          deletes[id] = deletedAt;
+        }
+      });
+
+      // Failed deletes are retried by flushRetryQueue, so the snapshot can move on
+      if (removed.length > 0 && !sendDeletes(table, removed)) {
+        queueDeletes(table, deletes);
+      }
     }
   }
+
+  // Any change (edit, insert, paste) may add IDs, so always refresh the snapshot
+  saveIdSnapshot(table, currentIds);
+}
+
+/**
+ * The header row, trimmed.
+ */
+function readHeaders(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return [];
+  return sheet
+    .getRange(1, 1, 1, lastColumn)
+    .getValues()[0]
+    .map(function (h) {
+      return String(h).trim();
+    });
 }
 
 /**
- * One-time setup: adds the ON_EDIT trigger programmatically if needed.
+ * Positions of the tab's key header(s), or null if any is missing.
+ */
+function getKeyIndexes(sheet, headers) {
+  const keyHeaders = KEY_HEADERS[sheet.getName()] || ["id"];
+  const lowered = headers.map(function (h) {
+    return h.toLowerCase();
+  });
+  const keyIndexes = keyHeaders.map(function (k) {
+    return lowered.indexOf(k.toLowerCase());
+  });
+  return keyIndexes.indexOf(-1) === -1 ? keyIndexes : null;
+}
+
+/**
+ * Row key of one row: the cell value for single keys, a JSON array of the key
+ * cells for composite keys, or "" if any key cell is blank.
+ */
+function rowKey(row, keyIndexes) {
+  const parts = keyIndexes.map(function (i) {
+    return String(row[i]).trim();
+  });
+  if (
+    parts.some(function (p) {
+      return p === "";
+    })
+  ) {
+    return "";
+  }
+  return parts.length === 1 ? parts[0] : JSON.stringify(parts);
+}
+
+/**
+ * Reads the row key of every row below the header row.
+ * Returns null if the tab lacks any of its key headers.
+ */
+function readIdColumn(sheet) {
+  const keyIndexes = getKeyIndexes(sheet, readHeaders(sheet));
+  if (!keyIndexes) return null;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+
+  return sheet
+    .getRange(2, 1, lastRow - 1, sheet.getLastColumn())
+    .getValues()
+    .map(function (r) {
+      return rowKey(r, keyIndexes);
+    });
+}
+
+/**
+ * The hidden tab holding the ID snapshots, one column per tab with the tab
+ * name in row 1. Document Properties are too small (500KB in total) for the
+ * ID columns of large tabs. Returns null if it doesn't exist and create is false.
+ */
+function idSnapshotSheet(create) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(ID_SNAPSHOT_TAB);
+  if (!sheet && create) {
+    sheet = ss.insertSheet(ID_SNAPSHOT_TAB);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * The last saved row keys of a tab, or null if none were saved.
+ */
+function loadIdSnapshot(table) {
+  const sheet = idSnapshotSheet(false);
+  const column = sheet ? snapshotColumn(sheet, table) : 0;
+  if (!column) {
+    // Saved by an older version in Document Properties; moved on the next save
+    const legacy = loadChunked("idsnap:" + table);
+    if (legacy) clearChunked("idsnap:" + table);
+    return legacy;
+  }
+
+  const count = Number(sheet.getRange(2, column).getValue()) || 0;
+  if (count === 0) return [];
+  return sheet
+    .getRange(3, column, count, 1)
+    .getValues()
+    .map(function (r) {
+      return String(r[0]);
+    });
+}
+
+/**
+ * Saves the row keys of a tab: row 2 holds the count, the keys follow.
+ * Failures are logged, not thrown; until the next save succeeds, deletes
+ * are detected against the previous snapshot.
+ */
+function saveIdSnapshot(table, ids) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const sheet = idSnapshotSheet(true);
+    let column = snapshotColumn(sheet, table);
+    if (!column) {
+      column = sheet.getLastColumn() + 1;
+      if (column > sheet.getMaxColumns()) sheet.insertColumnAfter(sheet.getMaxColumns());
+      sheet.getRange(1, column).setValue("'" + table);
+    }
+    const shortBy = ids.length + 2 - sheet.getMaxRows();
+    if (shortBy > 0) sheet.insertRowsAfter(sheet.getMaxRows(), shortBy);
+
+    // A leading apostrophe keeps keys as text (no number, date or formula parsing)
+    const values = [[ids.length]].concat(
+      ids.map(function (id) {
+        return ["'" + id];
+      }),
+    );
+    sheet.getRange(2, column, sheet.getMaxRows() - 1, 1).clearContent();
+    sheet.getRange(2, column, values.length, 1).setValues(values);
+  } catch (err) {
+    console.error("Could not save the ID snapshot of " + table + ":", err.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * The snapshot tab's column (1-based) for a tab, or 0 if it has none.
+ */
+function snapshotColumn(sheet, table) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return 0;
+  const names = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+  return names.indexOf(table) + 1;
+}
+
+/**
+ * Reads a JSON value saved with saveChunked, or null if there is none.
+ */
+function loadChunked(prefix) {
+  const props = PropertiesService.getDocumentProperties();
+  const chunkCount = Number(props.getProperty(prefix + ":chunks"));
+  if (!chunkCount) return null;
+
+  let json = "";
+  for (let i = 0; i < chunkCount; i++) {
+    json += props.getProperty(prefix + ":" + i) || "";
+  }
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    console.error("Corrupt saved value " + prefix + ":", err.message);
+    return null;
+  }
+}
+
+function saveChunked(prefix, value) {
+  const props = PropertiesService.getDocumentProperties();
+  const json = JSON.stringify(value);
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < json.length; i += SNAPSHOT_CHUNK_SIZE) {
+    chunks[prefix + ":" + count] = json.substring(i, i + SNAPSHOT_CHUNK_SIZE);
+    count++;
+  }
+  chunks[prefix + ":chunks"] = String(count);
+  props.setProperties(chunks);
+}
+
+function clearChunked(prefix) {
+  const props = PropertiesService.getDocumentProperties();
+  const chunkCount = Number(props.getProperty(prefix + ":chunks"));
+  for (let i = 0; i < chunkCount; i++) props.deleteProperty(prefix + ":" + i);
+  props.deleteProperty(prefix + ":chunks");
+}
+
+/**
+ * Reports deleted rows to the middleware.
+ * @returns {boolean} - false on a network or server error, which a retry may fix.
+ */
+function sendDeletes(table, removed) {
+  const payload = {
+    table: table,
+    rows: removed,
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    const response = signedFetch(MIDDLEWARE_DELETE_URL, payload);
+    const code = response.getResponseCode();
+    if (code !== 200) {
+      console.error("Delete sync failed for " + table + ": HTTP " + code);
+      return code < 500;
+    }
+    return true;
+  } catch (err) {
+    console.error("Delete sync error for " + table + ":", err.message);
+    return false;
+  }
+}
+
+/**
+ * Adds deletes to the tab's delete retry queue: row key -> delete time.
+ */
+function queueDeletes(table, deletes) {
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(10000);
+  try {
+    const queue = loadChunked("deleteq:" + table) || {};
+    Object.keys(deletes).forEach(function (id) {
+      if (!queue[id]) queue[id] = deletes[id];
+    });
+
+    const queued = Object.keys(queue).sort(function (a, b) {
+      return queue[a] < queue[b] ? -1 : 1;
+    });
+    if (queued.length > RETRY_QUEUE_MAX) {
+      const dropped = queued.slice(0, queued.length - RETRY_QUEUE_MAX);
+      dropped.forEach(function (id) {
+        delete queue[id];
+      });
+      console.error("Delete queue for " + table + " is full; dropped " + dropped.length + " oldest rows");
+    }
+    saveChunked("deleteq:" + table, queue);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Composite keys are stored as JSON arrays and sent as arrays
+function keyForSending(id) {
+  return id.charAt(0) === "[" ? JSON.parse(id) : id;
+}
+
+/**
+ * POSTs a JSON payload signed with the shared secret from Script Properties
+ * (SHEETS_WEBHOOK_SECRET). The middleware verifies the HMAC over
+ * "timestamp.nonce.body" and rejects stale or replayed requests. Every
+ * payload names this spreadsheet, which the middleware checks against its
+ * routing rules.
+ */
+function signedFetch(url, payload) {
+  const secret =
+    PropertiesService.getScriptProperties().getProperty("SHEETS_WEBHOOK_SECRET");
+  if (!secret) throw new Error("SHEETS_WEBHOOK_SECRET is not set in Script Properties");
+
+  const body = JSON.stringify(
+    Object.assign(
+      { spreadsheetId: SpreadsheetApp.getActiveSpreadsheet().getId() },
+      payload,
+    ),
+  );
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = Utilities.getUuid();
+  const signature = Utilities.computeHmacSha256Signature(
+    timestamp + "." + nonce + "." + body,
+    secret,
+    Utilities.Charset.UTF_8,
+  )
+    .map(function (b) {
+      return ((b + 256) % 256).toString(16).padStart(2, "0");
+    })
+    .join("");
+
+  return UrlFetchApp.fetch(url, {
+    method: "post",
+    contentType: "application/json",
+    payload: body,
+    muteHttpExceptions: true,
+    headers: {
+      "X-Sheets-Source": "GoogleAppsScript",
+      "X-Sheets-Timestamp": timestamp,
+      "X-Sheets-Nonce": nonce,
+      "X-Sheets-Signature": signature,
+    },
+  });
+}
+
+/**
+ * One-time setup: adds the ON_EDIT and ON_CHANGE triggers and the retry
+ * queue flush (every 5 minutes), and takes the initial ID snapshot of every tab.
  * This is safer than relying on simple triggers for external requests.
  */
 function setupTrigger() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   ScriptApp.newTrigger("onEdit").forSpreadsheet(ss).onEdit().create();
+  ScriptApp.newTrigger("onChange").forSpreadsheet(ss).onChange().create();
+  ScriptApp.newTrigger("flushRetryQueue").timeBased().everyMinutes(5).create();
+
+  ss.getSheets().forEach(function (sheet) {
+    if (isInternalTab(sheet)) return;
+    const ids = readIdColumn(sheet);
+    if (ids) saveIdSnapshot(sheet.getName(), ids);
+  });
 }
@@ -4,23 +4,41 @@ const helmet = require("helmet");
 const { default: pRetry } = require("p-retry");
 const supabase = require("./lib/supabase-client");
 const { sheets, sheetId } = require("./lib/sheets-client");
-const redis = require("./lib/redis-client");
+const store = require("./lib/state-store");
 const syncLogic = require("./lib/sync-logic");
+const tombstones = require("./lib/tombstones");
+const tableConfig = require("./lib/table-config");
+const schemaCache = require("./lib/schema-cache");
+const fkCache = require("./lib/fk-cache");
+const syncErrors = require("./lib/sync-errors");
+const conflictInbox = require("./lib/conflicts");
+const syncStatus = require("./lib/sync-status");
+const metrics = require("./lib/metrics");
 const logger = require("./lib/logger");
 const { default: PQueue } = require("p-queue");
-const { createWebhookMiddleware } = require("./lib/webhook-middleware");
+const {
+  createWebhookMiddleware,
+  getLoopBreakerState,
+} = require("./lib/webhook-middleware");
+const { createSheetsAuthMiddleware } = require("./lib/sheets-auth");
+const { createAdminAuthMiddleware } = require("./lib/admin-auth");
 const { registry } = require("./lib/webhook-dispatcher");
+const { WriteCoalescer } = require("./lib/write-coalescer");
+const { createJobQueue } = require("./lib/job-queue");
+const driftDetector = require("./lib/drift-detector");
+const reconciler = require("./lib/reconciler");
+const { RealtimeSource } = require("./lib/realtime-source");
+const { PgNotifySource } = require("./lib/pg-source");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Local Header Cache (TTL: 1 minute)
+// Local Header Cache per spreadsheet and table (TTL: 1 minute)
 const headerCache = new Map();
 const HEADER_CACHE_TTL = 60000;
 
-// Local Memory Fallback for Concurrency and Loops
-const localLocks = new Set();
-const localFingerprints = new Map();
+// Base snapshots for field-level merges (lastsnapshot:) outlive fingerprints
+const BASE_SNAPSHOT_TTL_S = 7 * 86400;
 
 // Security Middleware
 app.use(helmet());
@@ -39,51 +57,468 @@ app.use(
 // Health Check Endpoint
 app.get("/health", async (req, res) => {
   try {
-    await redis.ping();
-    const catCount = await redis.scard("valid_categories");
-    res
-      .status(200)
-      .json({ status: "ok", redis: "connected", categories_cached: catCount });
+    await store.ping();
+    const fkCached = await fkCache.getCacheStats();
+    res.status(200).json({
+      status: "ok",
+      state_store: store.backend,
+      fk_ids_cached: fkCached,
+    });
   } catch (error) {
     logger.error("Health check failed", { error: error.message });
-    res.status(503).json({ status: "error", redis: "disconnected" });
+    res.status(503).json({ status: "error", state_store: store.backend });
   }
 });
 
+// Local cache of "spreadsheetId:tab title" -> numeric sheet ID (needed for structural batchUpdate requests)
+const sheetGidCache = new Map();
+
+// Helper: Resolve the numeric sheet ID (gid) of a tab by its title
+async function getSheetGid(spreadsheetId, sheetName) {
+  const cacheKey = `${spreadsheetId}:${sheetName}`;
+  if (sheetGidCache.has(cacheKey)) return sheetGidCache.get(cacheKey);
+
+  const response = await pRetry(
+    () =>
+      metrics.timeCall("sheets", "spreadsheets.get", () =>
+        sheets.spreadsheets.get({
+          spreadsheetId,
+          fields: "sheets.properties(sheetId,title)",
+        }),
+      ),
+    { retries: 3 },
+  );
+  (response.data.sheets || []).forEach(({ properties }) => {
+    sheetGidCache.set(
+      `${spreadsheetId}:${properties.title}`,
+      properties.sheetId,
+    );
+  });
+
+  if (!sheetGidCache.has(cacheKey)) {
+    throw new Error(
+      `Sheet '${sheetName}' not found in spreadsheet ${spreadsheetId}.`,
+    );
+  }
+  return sheetGidCache.get(cacheKey);
+}
+
+// Helper: Locate the key columns in the sheet (single keys fall back to column A like before)
+function getKeyIndexes(columns, config) {
+  const keyIndexes = tableConfig.getKeyIndexes(columns, config);
+  if (keyIndexes) return keyIndexes;
+  if (config.primaryKeys.length === 1) return [0];
+  throw new Error(
+    `Sheet '${config.sheet}' is missing key column(s): ${config.primaryKeys.join(", ")}.`,
+  );
+}
+
+// Helper: Take a per-row lock, waiting up to waitMs for the current holder to finish
+async function acquireRowLock(key, ttlSeconds, waitMs) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    if (await store.acquire(key, ttlSeconds)) return true;
+    if (Date.now() >= deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// Helper: Build the row key from sheet cells read starting at column `offset`
+function rowKeyFromCells(cells, keyIndexes, offset = 0) {
+  const parts = keyIndexes.map((i) => (cells || [])[i - offset]);
+  if (
+    parts.some((p) => p === undefined || p === null || String(p).trim() === "")
+  )
+    return null;
+  return tableConfig.encodeRowKey(parts);
+}
+
+// Helper: Find the 1-indexed sheet row holding rowId (cached index is verified, then key column scan)
+async function resolveRowIndex(config, rowId, keyIndexes) {
+  const rowIndexKey = tableConfig.rowStateKey("rowindex", config, rowId);
+  // Only read the span of columns that holds the key (a single column for simple keys)
+  const firstCol = Math.min(...keyIndexes);
+  const firstLetter = tableConfig.columnLetter(firstCol);
+  const lastLetter = tableConfig.columnLetter(Math.max(...keyIndexes));
+
+  let rowIndex = await store.get(rowIndexKey).catch(() => null);
+
+  if (rowIndex) {
+    // VERIFY: Check if the row at this index still contains the correct key
+    const verifyResponse = await pRetry(
+      () =>
+        metrics.timeCall("sheets", "values.get", () =>
+          sheets.spreadsheets.values.get({
+            spreadsheetId: config.spreadsheetId,
+            range: tableConfig.a1Range(
+              config.sheet,
+              `${firstLetter}${rowIndex}:${lastLetter}${rowIndex}`,
+            ),
+          }),
+        ),
+      { retries: 3 },
+    );
+
+    const foundId = verifyResponse.data.values
+      ? rowKeyFromCells(verifyResponse.data.values[0], keyIndexes, firstCol)
+      : null;
+
+    if (foundId !== rowId) {
+      logger.warn(
+        `Stale rowIndex detected for ${rowId} at row ${rowIndex}. Found ID: "${foundId}". Re-scanning columns ${firstLetter}:${lastLetter}...`,
+      );
+      rowIndex = null; // Force re-scan
+      await store.del(rowIndexKey).catch(() => {});
+    }
+  }
+
+  if (!rowIndex) {
+    const response = await pRetry(
+      () =>
+        metrics.timeCall("sheets", "values.get", () =>
+          sheets.spreadsheets.values.get({
+            spreadsheetId: config.spreadsheetId,
+            range: tableConfig.a1Range(
+              config.sheet,
+              `${firstLetter}:${lastLetter}`,
+            ),
+          }),
+        ),
+      { retries: 3 },
+    );
+    const rows = response.data.values || [];
+
+    // The range starts at the first key column, so cell positions are offset by it
+    const index = rows.findIndex(
+      (r) => rowKeyFromCells(r, keyIndexes, firstCol) === rowId,
+    );
+    if (index !== -1) {
+      rowIndex = index + 1; // 1-indexed for sheets
+      await store.set(rowIndexKey, rowIndex).catch(() => {});
+      logger.info(`Discovered existing rowIndex for ${rowId}: ${rowIndex}`);
+    }
+  }
+
+  return rowIndex ? Number(rowIndex) : null;
+}
+
+// Helper: Look up many row keys with a single read of the key columns
+async function resolveRowIndexes(config, rowIds, keyIndexes) {
+  const firstCol = Math.min(...keyIndexes);
+  const firstLetter = tableConfig.columnLetter(firstCol);
+  const lastLetter = tableConfig.columnLetter(Math.max(...keyIndexes));
+  const wanted = new Set(rowIds);
+
+  const response = await pRetry(
+    () =>
+      metrics.timeCall("sheets", "values.get", () =>
+        sheets.spreadsheets.values.get({
+          spreadsheetId: config.spreadsheetId,
+          range: tableConfig.a1Range(
+            config.sheet,
+            `${firstLetter}:${lastLetter}`,
+          ),
+        }),
+      ),
+    { retries: 3 },
+  );
+
+  // First occurrence wins, matching the single-row scan
+  const rowIndexes = new Map();
+  (response.data.values || []).forEach((cells, index) => {
+    const key = rowKeyFromCells(cells, keyIndexes, firstCol);
+    if (key && wanted.has(key) && !rowIndexes.has(key)) {
+      rowIndexes.set(key, index + 1); // 1-indexed for sheets
+    }
+  });
+  return rowIndexes;
+}
+
 /**
- * Periodically syncs valid category IDs from Supabase to Redis for fast validation.
+ * Writes one coalesced batch of Supabase rows for a table: existing rows in a
+ * single values.batchUpdate, new rows in a single append. Fingerprints and
+ * row indexes are only recorded for rows that actually landed.
+ * @returns {Promise<Map<string, Error|null>>} - Per-row outcome.
  */
-async function syncCategories() {
-  try {
-    const { data: categories } = await supabase
-      .from("menu_categories")
-      .select("id");
-    if (categories && categories.length > 0) {
-      const ids = categories.map((c) => c.id);
-      await redis.del("valid_categories");
-      await redis.sadd("valid_categories", ...ids);
-      logger.info(`Synced ${ids.length} valid category IDs to cache.`);
+async function flushSheetBatch(items) {
+  const entries = [...items.values()];
+  const { config, columns } = entries[entries.length - 1];
+  const tableName = config.table;
+  const keyIndexes = getKeyIndexes(columns, config);
+  logger.info(`[Step 4] Flushing ${entries.length} row(s) to ${config.sheet}`);
+
+  const rowIndexes = await resolveRowIndexes(
+    config,
+    entries.map((e) => e.rowId),
+    keyIndexes,
+  );
+
+  const updates = [];
+  const appends = [];
+  entries.forEach((entry) => {
+    const rowData = syncLogic.mapSupabaseToSheets(entry.record, entry.columns);
+    const rowIndex = rowIndexes.get(entry.rowId);
+    if (rowIndex) updates.push({ entry, rowIndex, rowData });
+    else appends.push({ entry, rowData });
+  });
+
+  const results = new Map();
+
+  if (updates.length > 0) {
+    try {
+      await pRetry(
+        () =>
+          metrics.timeCall("sheets", "values.batchUpdate", () =>
+            sheets.spreadsheets.values.batchUpdate({
+              spreadsheetId: config.spreadsheetId,
+              resource: {
+                valueInputOption: "USER_ENTERED",
+                data: updates.map((u) => ({
+                  range: tableConfig.a1Range(config.sheet, `A${u.rowIndex}`),
+                  values: [u.rowData],
+                })),
+              },
+            }),
+          ),
+        { retries: 3 },
+      );
+      updates.forEach((u) => results.set(u.entry.rowId, null));
+      logger.info(`Updated ${updates.length} Sheets row(s) in ${config.sheet}`);
+    } catch (err) {
+      updates.forEach((u) => results.set(u.entry.rowId, err));
     }
-  } catch (error) {
-    logger.error("Failed to sync categories to cache", {
-      error: error.message,
+  }
+
+  if (appends.length > 0) {
+    try {
+      const appendResponse = await pRetry(
+        () =>
+          metrics.timeCall("sheets", "values.append", () =>
+            sheets.spreadsheets.values.append({
+              spreadsheetId: config.spreadsheetId,
+              range: tableConfig.a1Range(config.sheet, "1:1"),
+              valueInputOption: "USER_ENTERED",
+              resource: { values: appends.map((a) => a.rowData) },
+            }),
+          ),
+        { retries: 3 },
+      );
+
+      // Appended rows are contiguous: "'Menu Items'!A15:F17" -> rows 15, 16, 17
+      const { updatedRange } = appendResponse.data.updates;
+      const match = updatedRange.match(/!A(\d+)/);
+      appends.forEach((a, i) => {
+        results.set(a.entry.rowId, null);
+        if (match) rowIndexes.set(a.entry.rowId, Number(match[1]) + i);
+      });
+      logger.info("Appended new Sheets rows", {
+        table: tableName,
+        count: appends.length,
+        updatedRange,
+      });
+    } catch (err) {
+      appends.forEach((a) => results.set(a.entry.rowId, err));
+    }
+  }
+
+  // CRITICAL: Update the state fingerprint after successful sync (with fallback)
+  const landed = entries.filter((e) => results.get(e.rowId) === null);
+  if (landed.length > 0) {
+    const ops = [];
+    landed.forEach((e) => {
+      if (rowIndexes.has(e.rowId)) {
+        ops.push([
+          "set",
+          tableConfig.rowStateKey("rowindex", config, e.rowId),
+          rowIndexes.get(e.rowId),
+        ]);
+      }
+      ops.push([
+        "set",
+        tableConfig.rowStateKey("lastfingerprint", config, e.rowId),
+        e.fingerprint,
+        86400,
+      ]);
+      ops.push([
+        "set",
+        tableConfig.rowStateKey("lastsnapshot", config, e.rowId),
+        JSON.stringify(syncLogic.buildSnapshot(e.record, e.columns)),
+        BASE_SNAPSHOT_TTL_S,
+      ]);
     });
+    await store.batch(ops).catch(() => {});
+    await syncStatus.recordSync("supabase_to_sheets", tableName);
   }
+
+  return results;
+}
+
+// Coalesces Supabase events per tab; each flush runs as one rate-limited queue task
+const sheetsWriter = new WriteCoalescer({
+  windowMs: Number(process.env.SHEETS_BATCH_WINDOW_MS) || 250,
+  maxBatchSize: 500,
+  onFlush: (group, items) => sheetsQueue.add(() => flushSheetBatch(items)),
+});
+
+// Writer groups are per spreadsheet, so each flush writes to one tab
+function writerGroup(target) {
+  return `${target.spreadsheetId}:${target.table}`;
 }
 
-// Initial sync and every 5 minutes
-syncCategories();
-setInterval(syncCategories, 300000);
+/**
+ * Mirrors a Supabase DELETE into the sheet: removes the row (default) or, for
+ * tables with deleteMode "soft", stamps deleted_at and greys the row out in place.
+ * @param {object} config - The sheet target (see tableConfig.getSheetTarget).
+ */
+async function mirrorDelete(config, rowId, columns) {
+  const tableName = config.table;
+  const keyIndexes = getKeyIndexes(columns, config);
+
+  const rowIndex = await resolveRowIndex(config, rowId, keyIndexes);
+  if (!rowIndex) {
+    logger.info(
+      `Delete: ${tableName}:${rowId} not present in sheet. Nothing to do.`,
+    );
+  } else if (config.deleteMode === "soft") {
+    const deletedAtIndex = columns.indexOf("deleted_at");
+    if (deletedAtIndex !== -1) {
+      await pRetry(
+        () =>
+          metrics.timeCall("sheets", "values.update", () =>
+            sheets.spreadsheets.values.update({
+              spreadsheetId: config.spreadsheetId,
+              range: tableConfig.a1Range(
+                config.sheet,
+                `${tableConfig.columnLetter(deletedAtIndex)}${rowIndex}`,
+              ),
+              valueInputOption: "USER_ENTERED",
+              resource: { values: [[new Date().toISOString()]] },
+            }),
+          ),
+        { retries: 3 },
+      );
+    }
+
+    const gid = await getSheetGid(config.spreadsheetId, config.sheet);
+    await pRetry(
+      () =>
+        metrics.timeCall("sheets", "batchUpdate", () =>
+          sheets.spreadsheets.batchUpdate({
+            spreadsheetId: config.spreadsheetId,
+            resource: {
+              requests: [
+                {
+                  repeatCell: {
+                    range: {
+                      sheetId: gid,
+                      startRowIndex: rowIndex - 1,
+                      endRowIndex: rowIndex,
+                      startColumnIndex: 0,
+                      endColumnIndex: columns.length,
+                    },
+                    cell: {
+                      userEnteredFormat: {
+                        backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 },
+                        textFormat: {
+                          foregroundColor: { red: 0.6, green: 0.6, blue: 0.6 },
+                        },
+                      },
+                    },
+                    fields:
+                      "userEnteredFormat(backgroundColor,textFormat.foregroundColor)",
+                  },
+                },
+              ],
+            },
+          }),
+        ),
+      { retries: 3 },
+    );
+    logger.info(`Marked Sheets row ${rowIndex} as deleted for ${rowId}`);
+  } else {
+    const gid = await getSheetGid(config.spreadsheetId, config.sheet);
+    await pRetry(
+      () =>
+        metrics.timeCall("sheets", "batchUpdate", () =>
+          sheets.spreadsheets.batchUpdate({
+            spreadsheetId: config.spreadsheetId,
+            resource: {
+              requests: [
+                {
+                  deleteDimension: {
+                    range: {
+                      sheetId: gid,
+                      dimension: "ROWS",
+                      startIndex: rowIndex - 1,
+                      endIndex: rowIndex,
+                    },
+                  },
+                },
+              ],
+            },
+          }),
+        ),
+      { retries: 3 },
+    );
 
-// Helper: Convert column index to Google Sheets letter (0=A, 1=B, 26=AA)
-function getColumnLetter(index) {
-  let tempIndex = index;
-  let letter = "";
-  while (tempIndex >= 0) {
-    letter = String.fromCharCode((tempIndex % 26) + 65) + letter;
-    tempIndex = Math.floor(tempIndex / 26) - 1;
+    // Every row below the deleted one moved up by one; keep cached indexes aligned
+    const shifted = await syncLogic
+      .shiftRowIndexes(config, rowIndex)
+      .catch((err) => {
+        logger.warn(`Row index fix-up failed for ${tableName}: ${err.message}`);
+        return 0;
+      });
+    logger.info(`Deleted Sheets row ${rowIndex} for ${rowId}`, {
+      table: tableName,
+      shiftedIndexes: shifted,
+    });
   }
-  return letter || "A";
+
+  await store
+    .del(
+      tableConfig.rowStateKey("lastfingerprint", config, rowId),
+      tableConfig.rowStateKey("lastsnapshot", config, rowId),
+    )
+    .catch(() => {});
+  await syncStatus.recordSync("supabase_to_sheets", tableName);
+}
+
+// Helper: Run a webhook handler outside of Express (e.g. retrying deferred rows).
+// With `replay`, handlers rethrow failures instead of logging them to sync_errors again.
+function invokeHandler(
+  handler,
+  body,
+  { replay = false, sheetHeaders = null } = {},
+) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(data) {
+        this.headersSent = true;
+        resolve({ status: this.statusCode, body: data });
+        return this;
+      },
+      json(data) {
+        return this.send(data);
+      },
+    };
+    const req = {
+      body,
+      headers: {},
+      rawBody: JSON.stringify(body),
+      isInternal: true,
+      isReplay: replay,
+      sheetHeaders,
+    };
+    Promise.resolve(handler(req, res)).then(() => {
+      if (!res.headersSent) resolve({ status: res.statusCode, body: null });
+    }, reject);
+  });
 }
 
 // Helper: Log Sync Error to Supabase (DLQ)
@@ -93,17 +528,20 @@ async function logSyncError(source, payload, error) {
     `[CRITICAL ERROR] Source: ${source}, Message: ${error.message}`,
   );
   if (error.stack) console.error(error.stack);
+  metrics.recordEvent(source, metrics.tableLabel(source, payload), "failed");
 
   try {
     await pRetry(
       () =>
-        supabase.from("sync_errors").insert({
-          source,
-          payload,
-          error_message: error.message,
-          stack: error.stack,
-          created_at: new Date().toISOString(),
-        }),
+        metrics.timeCall("supabase", "insert", () =>
+          supabase.from("sync_errors").insert({
+            source,
+            payload,
+            error_message: error.message,
+            stack: error.stack,
+            created_at: new Date().toISOString(),
+          }),
+        ),
       { retries: 3 },
     );
   } catch (dbError) {
@@ -111,6 +549,184 @@ async function logSyncError(source, payload, error) {
   }
 }
 
+// Helper: Record a dropped sheet edit in sync_conflicts (and the optional conflicts tab).
+// Never throws: the inbox is best-effort and must not fail the sync itself.
+async function reportConflict(
+  config,
+  rowId,
+  sheetRow,
+  dbRow,
+  base,
+  fields,
+  req,
+) {
+  try {
+    const conflict = await conflictInbox.recordConflict({
+      table: config.table,
+      rowId,
+      sheetRow,
+      dbRow,
+      base,
+      fields,
+      editedBy: req.body.editor,
+      editedAt: new Date(req.body.timestamp || Date.now()).toISOString(),
+    });
+
+    const conflictsTab = process.env.CONFLICTS_TAB;
+    if (conflictsTab) {
+      const pick = (row) =>
+        JSON.stringify(Object.fromEntries(fields.map((f) => [f, row[f]])));
+      await sheetsQueue.add(() =>
+        pRetry(
+          () =>
+            metrics.timeCall("sheets", "values.append", () =>
+              sheets.spreadsheets.values.append({
+                spreadsheetId: config.spreadsheetId,
+                range: tableConfig.a1Range(conflictsTab, "A1"),
+                valueInputOption: "RAW",
+                resource: {
+                  values: [
+                    [
+                      conflict.id,
+                      conflict.created_at,
+                      conflict.table_name,
+                      conflict.row_id,
+                      fields.join(", "),
+                      conflict.edited_by || "",
+                      conflict.edited_at,
+                      pick(sheetRow),
+                      pick(dbRow),
+                    ],
+                  ],
+                },
+              }),
+            ),
+          { retries: 3 },
+        ),
+      );
+    }
+    logger.info(`Recorded sync conflict ${conflict.id} for ${rowId}`, {
+      table: config.table,
+      fields,
+    });
+  } catch (err) {
+    logger.warn(`Failed to record conflict for ${rowId}: ${err.message}`);
+  }
+}
+
+/**
+ * Puts the database values back into a sheet row of a DB-to-sheet table. A
+ * row the tab doesn't mirror is blanked. With the table's revertNote, the
+ * edited cells get it as a note.
+ * @param {object} body - The Sheets request (rowNumber and edited columns are optional).
+ * @returns {Promise<string>} - The handler outcome.
+ */
+async function revertSheetRow(config, headers, columns, rowId, body) {
+  const { data: record, error } = await pRetry(
+    () =>
+      metrics.timeCall("supabase", "select", () =>
+        tableConfig
+          .scopeQuery(
+            tableConfig.fromTable(supabase, config).select("*"),
+            config,
+          )
+          .match(tableConfig.getKeyFilter(rowId, config))
+          .maybeSingle(),
+      ),
+    { retries: 3 },
+  );
+  if (error) throw error;
+
+  const rowNumber =
+    body.rowNumber ||
+    (await resolveRowIndex(config, rowId, getKeyIndexes(columns, config)));
+  if (!rowNumber) {
+    logger.warn(`Read-only: ${config.table}:${rowId} not found in the sheet`);
+    return "Skipped (Read Only)";
+  }
+
+  // Ignored columns map to null, which leaves those cells untouched
+  const values = syncLogic.mapSupabaseToSheets(record || {}, columns);
+  await sheetsQueue.add(() =>
+    pRetry(
+      () =>
+        metrics.timeCall("sheets", "values.update", () =>
+          sheets.spreadsheets.values.update({
+            spreadsheetId: config.spreadsheetId,
+            range: tableConfig.a1Range(
+              config.sheet,
+              `A${rowNumber}:${tableConfig.columnLetter(columns.length - 1)}${rowNumber}`,
+            ),
+            valueInputOption: "USER_ENTERED",
+            resource: { values: [values] },
+          }),
+        ),
+      { retries: 3 },
+    ),
+  );
+
+  const edited = config.revertNote
+    ? (body.columns || headers)
+        .map((name) =>
+          headers.findIndex(
+            (h) =>
+              h !== undefined &&
+              h !== null &&
+              String(h).trim() === String(name).trim(),
+          ),
+        )
+        .filter((index) => index !== -1 && columns[index])
+    : [];
+  if (edited.length > 0) {
+    const gid = await getSheetGid(config.spreadsheetId, config.sheet);
+    await sheetsQueue.add(() =>
+      pRetry(
+        () =>
+          metrics.timeCall("sheets", "batchUpdate", () =>
+            sheets.spreadsheets.batchUpdate({
+              spreadsheetId: config.spreadsheetId,
+              resource: {
+                requests: edited.map((index) => ({
+                  repeatCell: {
+                    range: {
+                      sheetId: gid,
+                      startRowIndex: rowNumber - 1,
+                      endRowIndex: rowNumber,
+                      startColumnIndex: index,
+                      endColumnIndex: index + 1,
+                    },
+                    cell: { note: config.revertNote },
+                    fields: "note",
+                  },
+                })),
+              },
+            }),
+          ),
+        { retries: 3 },
+      ),
+    );
+  }
+
+  logger.info(
+    `Read-only: reverted ${config.table}:${rowId} in row ${rowNumber}`,
+    { found: !!record },
+  );
+  metrics.recordEvent("sheets", config.table, "reverted");
+  return "Reverted (Read Only)";
+}
+
+// Accepted Supabase events stay in the job queue until a worker has mirrored them
+const supabaseJobs = createJobQueue({
+  name: "supabase",
+  handler: (body, job) => processSupabaseEvent(body, job.enqueuedAt),
+  onDeadLetter: (body, error, attempts) => {
+    error.message = `${error.message} (gave up after ${attempts} attempts)`;
+    return logSyncError("supabase", body, error);
+  },
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.JOB_RETRY_BASE_MS) || 2000,
+});
+
 // Supabase Webhook Endpoint
 const supabaseHandler = async (req, res) => {
   const eventId = req.headers["x-supabase-event-id"];
@@ -138,11 +754,15 @@ const supabaseHandler = async (req, res) => {
 
   if (eventId && (await syncLogic.isDuplicateEvent(eventId))) {
     logger.warn("Duplicate event dropped", { eventId });
+    metrics.recordEvent("supabase", tableName, "deduplicated");
     return res.status(200).send("Duplicate");
   }
 
-  const { record, old_record, type } = req.body;
-  const rowId = record ? record.id : old_record ? old_record.id : null;
+  const config = tableConfig.getTableConfig(tableName);
+  const rowId = tableConfig.getRowKey(
+    req.body.record || req.body.old_record,
+    config,
+  );
 
   if (!rowId) return res.status(400).send("No row ID found");
 
@@ -160,261 +780,319 @@ const supabaseHandler = async (req, res) => {
   }
 
   try {
-    const lockKey = `${tableName}:${rowId}`;
+    res.status(200).send(await acceptSupabaseEvent(req.body));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+};
 
-    // BURST PROTECTION: Try Redis first, fallback to local memory
-    let lockAcquired = false;
-    try {
-      const redisLockKey = `supabase_processing:${lockKey}`;
-      lockAcquired = await redis.set(redisLockKey, "true", "EX", 10, "NX");
-    } catch (e) {
-      logger.warn(
-        `Redis lock failed, falling back to local memory for ${lockKey}`,
-      );
-      if (!localLocks.has(lockKey)) {
-        localLocks.add(lockKey);
-        lockAcquired = true;
-      }
-    }
+/**
+ * Queues a validated Supabase change, or processes it inline when the
+ * job queue can't take it. Used by the webhook endpoint and the Realtime source.
+ * @returns {Promise<string>} - "OK (Queued)" or the inline outcome.
+ * @throws - If inline processing fails (already logged to sync_errors).
+ */
+async function acceptSupabaseEvent(body) {
+  const tableName = body.table;
+  const rowId = tableConfig.getRowKey(
+    body.record || body.old_record,
+    tableConfig.getTableConfig(tableName),
+  );
+  metrics.recordEvent("supabase", tableName, "received");
+  const receivedAt = Date.now();
 
-    if (!lockAcquired) {
-      logger.info(`Burst Protection: Already processing ${lockKey}. skipping.`);
-      return res.status(200).send("OK (Burst Protected)");
-    }
+  // A sheet-to-DB table (an intake form) never takes database changes
+  if (tableConfig.getTableConfig(tableName).direction === "sheet_to_db") {
+    metrics.recordEvent("supabase", tableName, "direction_skipped");
+    return "Skipped (Sheet to DB only)";
+  }
 
-    // Step 1: Get Headers (with local caching)
-    let headers = null;
-    const cached = headerCache.get(tableName);
-    if (cached && Date.now() - cached.timestamp < HEADER_CACHE_TTL) {
-      headers = cached.headers;
-    } else {
-      logger.info(`[Step 1] Fetching fresh headers for ${tableName}`);
-      try {
-        const headerResponse = await pRetry(
-          () =>
-            sheets.spreadsheets.values.get({
-              spreadsheetId: sheetId,
-              range: `${tableName}!1:1`,
-            }),
-          { retries: 3 },
-        );
-        headers = headerResponse.data.values
-          ? headerResponse.data.values[0]
-          : [];
-        if (headers.length > 0) {
-          headerCache.set(tableName, { headers, timestamp: Date.now() });
-        }
-      } catch (err) {
-        if (err.message && err.message.includes("Unable to parse range")) {
-          logger.warn(
-            `Sheet '${tableName}' not found in Google Sheets. Skipping event.`,
-          );
-          return res
-            .status(200)
-            .send(`Skipped: Sheet '${tableName}' not found`);
-        }
-        throw err;
-      }
-    }
+  try {
+    // Persist before acknowledging so a restart can't lose the event
+    await supabaseJobs.enqueue(body);
+    return "OK (Queued)";
+  } catch (err) {
+    logger.warn(
+      `Durable queue unavailable, processing ${tableName}:${rowId} inline: ${err.message}`,
+    );
+  }
+
+  try {
+    return await processSupabaseEvent(body, receivedAt);
+  } catch (error) {
+    await logSyncError("supabase", body, error);
+    throw error;
+  }
+}
+
+// Helper: Read a tab's header row (cached per spreadsheet for HEADER_CACHE_TTL)
+async function getSheetHeaders(target) {
+  const cacheKey = `${target.spreadsheetId}:${target.table}`;
+  const cached = headerCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < HEADER_CACHE_TTL) {
+    return cached.headers;
+  }
+
+  logger.info(`[Step 1] Fetching fresh headers for ${target.table}`, {
+    spreadsheetId: target.spreadsheetId,
+  });
+  const headers = await fetchSheetHeaders(target);
+  if (headers.length > 0) {
+    headerCache.set(cacheKey, {
+      table: target.table,
+      spreadsheetId: target.spreadsheetId,
+      headers,
+      timestamp: Date.now(),
+    });
+  }
+  return headers;
+}
+
+/**
+ * The sheet targets a Supabase change goes to. Tenant-split tables route by
+ * the row's tenant column; a delete that doesn't carry it (Realtime without
+ * REPLICA IDENTITY FULL) is applied to every spreadsheet of the table.
+ */
+function getSupabaseTargets(config, { type, record, old_record }) {
+  if (
+    type === "DELETE" &&
+    config.tenantColumn &&
+    !(old_record && config.tenantColumn in old_record)
+  ) {
+    return tableConfig.listSheetTargets(config);
+  }
+  const target = tableConfig.routeRecord(config, record || old_record);
+  return target ? [target] : [];
+}
+
+/**
+ * Removes a row from the spreadsheet of its previous tenant. The row still
+ * exists, so it is removed outright whatever the table's deleteMode.
+ */
+async function removeMovedRow(target, rowId) {
+  const columns = tableConfig.resolveColumns(
+    await getSheetHeaders(target),
+    target,
+  );
+  await sheetsWriter.flush(writerGroup(target));
+  await sheetsQueue.add(() =>
+    mirrorDelete({ ...target, deleteMode: "hard" }, rowId, columns),
+  );
+  logger.info(
+    `Moved ${target.table}:${rowId} out of spreadsheet ${target.spreadsheetId}`,
+  );
+}
+
+/**
+ * Mirrors one Supabase change into Google Sheets. Runs on the job queue
+ * worker; throwing makes the queue retry the event with backoff.
+ * @param {object} body - The Supabase webhook payload.
+ * @param {number|string} receivedAt - When the webhook arrived (for the latency metric).
+ * @returns {Promise<string>} - The outcome, e.g. "OK" or "Skipped loop".
+ */
+async function processSupabaseEvent(body, receivedAt = Date.now()) {
+  const { old_record, type } = body;
+  const config = tableConfig.getTableConfig(body.table);
+  const rowId = tableConfig.getRowKey(body.record || old_record, config);
+  const targets = getSupabaseTargets(config, body);
+
+  // A row that exists again loses its tombstone: re-inserted, or its
+  // deleted_at cleared (an UPDATE whose old_record shows it live needs nothing)
+  const { record } = body;
+  const restored =
+    type === "INSERT" ||
+    (type === "UPDATE" &&
+      !!record &&
+      "deleted_at" in record &&
+      !record.deleted_at &&
+      !(old_record && "deleted_at" in old_record && !old_record.deleted_at));
+  if (restored && rowId) {
+    await tombstones.clearTombstones(config.table, [rowId]);
+  }
 
-    if (!headers || headers.length === 0) {
-      throw new Error(`Target sheet '${tableName}' has no headers.`);
+  // A row whose tenant changed leaves the old tenant's spreadsheet
+  if (
+    type === "UPDATE" &&
+    config.tenantColumn &&
+    old_record &&
+    config.tenantColumn in old_record
+  ) {
+    const previous = tableConfig.routeRecord(config, old_record);
+    if (
+      previous &&
+      !targets.some((t) => t.spreadsheetId === previous.spreadsheetId)
+    ) {
+      await removeMovedRow(previous, rowId);
     }
+  }
+
+  if (targets.length === 0) {
+    logger.info(
+      `No spreadsheet is routed for ${config.table}:${rowId}. Skipping event.`,
+      { tenantColumn: config.tenantColumn },
+    );
+    return "Skipped (Not Routed)";
+  }
+
+  const outcomes = [];
+  for (const target of targets) {
+    outcomes.push(await mirrorToSheet(target, body, rowId, receivedAt));
+  }
+  return outcomes.join(", ");
+}
 
-    logger.info(`[Step 2] Calculating fingerprint for ${rowId}`);
-    const incomingFingerprint = syncLogic.calculateFingerprint(record, headers);
+// Events of one row, chained in the order they were read from the job queue
+const rowChains = new Map(); // lock key -> tail of the row's chain
+
+// Helper: Run task after every earlier task queued under the same key
+function runInRowOrder(key, task) {
+  const previous = rowChains.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  rowChains.set(key, tail);
+  tail.then(() => {
+    if (rowChains.get(key) === tail) rowChains.delete(key);
+  });
+  return run;
+}
 
-    let storedFingerprint = null;
+// Mirrors a Supabase change into one spreadsheet (see processSupabaseEvent).
+// Changes to one row run one after another: chained in this process, and
+// across instances through the state store lock.
+function mirrorToSheet(config, body, rowId, receivedAt) {
+  const lockKey = `supabase_processing:${config.spreadsheetId}:${config.table}:${rowId}`;
+  return runInRowOrder(lockKey, async () => {
+    // Held until the batch holding this row is written; released below, or by its TTL
+    if (!(await acquireRowLock(lockKey, 10, 10000))) {
+      metrics.recordEvent("supabase", config.table, "busy");
+      // Never acked as done: the job queue retries it with backoff
+      throw new Error(`Row lock ${lockKey} is held by another instance`);
+    }
     try {
-      storedFingerprint = await redis.get(
-        `lastfingerprint:${tableName}:${rowId}`,
-      );
-    } catch (e) {
+      return await writeRowToSheet(config, body, rowId, receivedAt);
+    } finally {
+      await store.del(lockKey).catch(() => {});
+    }
+  });
+}
+
+// The locked part of mirrorToSheet
+async function writeRowToSheet(config, body, rowId, receivedAt) {
+  const { record, type } = body;
+  const tableName = config.table;
+
+  // Step 1: Get Headers (with local caching)
+  let headers = null;
+  try {
+    headers = await getSheetHeaders(config);
+  } catch (err) {
+    if (err.message && err.message.includes("Unable to parse range")) {
       logger.warn(
-        `Redis fingerprint lookup failed, falling back to local for ${lockKey}`,
+        `Sheet '${config.sheet}' not found in spreadsheet ${config.spreadsheetId}. Skipping event.`,
       );
+      return `Skipped: Sheet '${config.sheet}' not found`;
     }
+    throw err;
+  }
+
+  if (!headers || headers.length === 0) {
+    throw new Error(`Target sheet '${config.sheet}' has no headers.`);
+  }
 
-    // Explicitly check local map if Redis returned null or failed
-    if (!storedFingerprint) {
-      storedFingerprint = localFingerprints.get(lockKey);
+  // Header text -> column names (aliases applied, ignored columns nulled)
+  const columns = tableConfig.resolveColumns(headers, config);
+
+  // A soft-delete table stamping deleted_at is mirrored like a DELETE
+  const isSoftDeleted =
+    config.deleteMode === "soft" && !!(record && record.deleted_at);
+
+  // ROW FILTER: checked before the loop check, so a sheet edit that takes
+  // its own row out of the filter still removes it from the tab
+  if (type !== "DELETE" && !tableConfig.matchesFilter(config, record)) {
+    metrics.recordEvent("supabase", tableName, "filtered");
+    // A new row from the database was never in the sheet
+    if (type === "INSERT" && record.source !== "sheets") {
+      logger.info(`Row filter: ${tableName}:${rowId} doesn't match. Skipping.`);
+      return "Skipped (Filtered)";
     }
+    if (isSoftDeleted) {
+      await tombstones.recordTombstones(tableName, [rowId], "supabase");
+    }
+    await sheetsWriter.flush(writerGroup(config));
 
-    const isShifted = await redis
-      .get(`shifted:${tableName}:${rowId}`)
-      .catch(() => null);
+    // The row still exists, so it is removed outright whatever the deleteMode
+    logger.info(
+      `[Step 3] Row filter: ${rowId} no longer matches. Removing it from the sheet`,
+    );
+    await sheetsQueue.add(() =>
+      mirrorDelete({ ...config, deleteMode: "hard" }, rowId, columns),
+    );
+    metrics.observeSyncLatency("supabase", tableName, receivedAt);
+    return "OK (Filtered Out)";
+  }
 
-    if (req.body.record && req.body.record.source === "sheets") {
-      logger.info(
-        `Loop Check (Local Echo): rowId=${rowId} match=${incomingFingerprint === storedFingerprint} shifted=${!!isShifted}`,
-      );
+  logger.info(`[Step 2] Calculating fingerprint for ${rowId}`);
+  const incomingFingerprint = syncLogic.calculateFingerprint(record, columns);
 
-      if (incomingFingerprint === storedFingerprint && !isShifted) {
-        logger.info(
-          `Loop Check: rowId=${rowId} match=true. Skipping local echo.`,
-        );
-        localLocks.delete(lockKey);
-        return res.status(200).send("Skipped loop");
-      }
+  const storedFingerprint = await store
+    .get(tableConfig.rowStateKey("lastfingerprint", config, rowId))
+    .catch(() => null);
 
-      if (isShifted) {
-        logger.info(
-          `Heal Sync: rowId=${rowId} misalignment detected. Overwriting sheet...`,
-        );
-        await redis.del(`shifted:${tableName}:${rowId}`);
-      }
-    } else {
+  const shiftedKey = tableConfig.rowStateKey("shifted", config, rowId);
+  const isShifted = await store.get(shiftedKey).catch(() => null);
+
+  if (body.record && body.record.source === "sheets") {
+    logger.info(
+      `Loop Check (Local Echo): rowId=${rowId} match=${incomingFingerprint === storedFingerprint} shifted=${!!isShifted}`,
+    );
+
+    if (incomingFingerprint === storedFingerprint && !isShifted) {
       logger.info(
-        `Supabase Source Update: rowId=${rowId} source=${req.body.record ? req.body.record.source : "unknown"}`,
+        `Loop Check: rowId=${rowId} match=true. Skipping local echo.`,
       );
+      metrics.recordEvent("supabase", tableName, "loop_skipped");
+      return "Skipped loop";
     }
-    if (type === "INSERT" || type === "UPDATE") {
-      logger.info(`[Step 3] Adding to sheetsQueue for ${rowId}`);
-      await sheetsQueue
-        .add(async () => {
-          logger.info(`[Step 4] Queue started for ${rowId}`);
-          const idColIndex = headers.findIndex(
-            (h) => h && h.trim().toLowerCase() === "id",
-          );
-          const actualIdIndex = idColIndex !== -1 ? idColIndex : 0;
-          const idColLetter = getColumnLetter(actualIdIndex);
-
-          logger.info(`Processing Supabase sync for ${tableName}:${rowId}`, {
-            idColIndex: actualIdIndex,
-            idColLetter,
-            headers: headers.slice(0, 10),
-          });
-
-          const rowData = syncLogic.mapSupabaseToSheets(record, headers);
-          let rowIndex = await redis
-            .get(`rowindex:${tableName}:${rowId}`)
-            .catch(() => null);
-
-          if (rowIndex) {
-            // VERIFY: Check if the row at this index still contains the correct ID
-            const verifyResponse = await pRetry(
-              () =>
-                sheets.spreadsheets.values.get({
-                  spreadsheetId: sheetId,
-                  range: `${tableName}!${idColLetter}${rowIndex}`,
-                }),
-              { retries: 3 },
-            );
 
-            const foundId = verifyResponse.data.values
-              ? verifyResponse.data.values[0][0]
-              : null;
+    if (isShifted) {
+      logger.info(
+        `Heal Sync: rowId=${rowId} misalignment detected. Overwriting sheet...`,
+      );
+      await store.del(shiftedKey).catch(() => {});
+    }
+  } else {
+    logger.info(
+      `Supabase Source Update: rowId=${rowId} source=${body.record ? body.record.source : "unknown"}`,
+    );
+  }
 
-            if (foundId !== rowId) {
-              logger.warn(
-                `Stale rowIndex detected for ${rowId} at row ${rowIndex}. Found ID: "${foundId}". Re-scanning column ${idColLetter}...`,
-                {
-                  headers: headers.slice(0, 5),
-                },
-              );
-              rowIndex = null; // Force re-scan
-              await redis.del(`rowindex:${tableName}:${rowId}`).catch(() => {});
-            }
-          }
+  if ((type === "INSERT" || type === "UPDATE") && !isSoftDeleted) {
+    logger.info(`[Step 3] Buffering Sheets write for ${rowId}`);
+    // The lock is held until the batch holding this row is written
+    await sheetsWriter.add(writerGroup(config), rowId, {
+      config,
+      columns,
+      record,
+      rowId,
+      fingerprint: incomingFingerprint,
+    });
+    metrics.recordEvent("supabase", tableName, "applied");
+    metrics.observeSyncLatency("supabase", tableName, receivedAt);
+  } else if (type === "DELETE" || isSoftDeleted) {
+    // Tombstone first so a stale sheet copy can't bring the row back
+    await tombstones.recordTombstones(tableName, [rowId], "supabase");
+
+    // Write out buffered rows first so the delete can't be overtaken by them
+    await sheetsWriter.flush(writerGroup(config));
+
+    logger.info(`[Step 3] Adding delete to sheetsQueue for ${rowId}`);
+    await sheetsQueue.add(() => mirrorDelete(config, rowId, columns));
+    metrics.recordEvent("supabase", tableName, "applied");
+    metrics.observeSyncLatency("supabase", tableName, receivedAt);
+  }
 
-          if (!rowIndex) {
-            const idColLetter = getColumnLetter(actualIdIndex);
-            const response = await pRetry(
-              () =>
-                sheets.spreadsheets.values.get({
-                  spreadsheetId: sheetId,
-                  range: `${tableName}!${idColLetter}:${idColLetter}`,
-                }),
-              { retries: 3 },
-            );
-            const rows = response.data.values || [];
-
-            // CRITICAL FIX: The range is a single column, so the ID is always at index 0
-            const index = rows.findIndex(
-              (r) => r[0] && r[0].trim() === rowId.trim(),
-            );
-            if (index !== -1) {
-              rowIndex = index + 1; // 1-indexed for sheets
-              await redis
-                .set(`rowindex:${tableName}:${rowId}`, rowIndex)
-                .catch(() => {});
-              logger.info(
-                `Discovered existing rowIndex for ${rowId}: ${rowIndex}`,
-              );
-            }
-          }
-
-          if (rowIndex) {
-            await pRetry(
-              () =>
-                sheets.spreadsheets.values.update({
-                  spreadsheetId: sheetId,
-                  range: `${tableName}!A${rowIndex}`,
-                  valueInputOption: "USER_ENTERED",
-                  resource: { values: [rowData] },
-                }),
-              { retries: 3 },
-            );
-            logger.info(`Updated Sheets row ${rowIndex} for ${rowId}`);
-          } else {
-            const appendResponse = await pRetry(
-              () =>
-                sheets.spreadsheets.values.append({
-                  spreadsheetId: sheetId,
-                  range: `${tableName}!1:1`,
-                  valueInputOption: "USER_ENTERED",
-                  resource: { values: [rowData] },
-                }),
-              { retries: 3 },
-            );
-
-            // Capture new row index from append response
-            const { updatedRange } = appendResponse.data.updates; // e.g. "menu_items!A15:F15"
-            const match = updatedRange.match(/!A(\d+):/);
-            if (match) {
-              rowIndex = match[1];
-              await redis
-                .set(`rowindex:${tableName}:${rowId}`, rowIndex)
-                .catch(() => {});
-            }
-            logger.info("Appended new Sheets row", {
-              table: tableName,
-              rowId,
-              rowIndex,
-            });
-          }
-
-          // CRITICAL: Update the state fingerprint in Redis after successful sync (with fallback)
-          await redis
-            .set(
-              `lastfingerprint:${tableName}:${rowId}`,
-              incomingFingerprint,
-              "EX",
-              86400,
-            )
-            .catch(() => {});
-          localFingerprints.set(`${tableName}:${rowId}`, incomingFingerprint);
-        })
-        .finally(() => {
-          // Release locks ONLY after queue task is done
-          localLocks.delete(`${tableName}:${rowId}`);
-        });
-    } else {
-      // Release lock for non-sync events
-      localLocks.delete(`${tableName}:${rowId}`);
-    }
-
-    res.status(200).send("OK");
-  } catch (error) {
-    await logSyncError("supabase", req.body, error);
-    res.status(500).send("Internal Server Error");
-  } finally {
-    // Release lock (cleanup is automatic by TTL, but let's be proactive)
-    await redis
-      .del(`supabase_processing:${tableName}:${rowId}`)
-      .catch(() => {});
-  }
-};
+  return "OK";
+}
 
 registry.register("supabase", supabaseHandler);
 app.post(
@@ -423,85 +1101,149 @@ app.post(
   registry.dispatch("supabase"),
 );
 
+async function fetchSheetHeaders(config) {
+  const headerResponse = await pRetry(
+    () =>
+      metrics.timeCall("sheets", "values.get", () =>
+        sheets.spreadsheets.values.get({
+          spreadsheetId: config.spreadsheetId,
+          range: tableConfig.a1Range(config.sheet, "1:1"),
+        }),
+      ),
+    { retries: 3 },
+  );
+  return headerResponse.data.values ? headerResponse.data.values[0] : [];
+}
+
+/**
+ * Resolves an Apps Script request to the sheet target it came from. Requests
+ * without a spreadsheetId (older copies of Code.gs) come from GOOGLE_SHEET_ID.
+ * @returns {object|null} - Null if the routing rules don't send the tab's table to that spreadsheet.
+ */
+function resolveSheetTarget(body) {
+  const spreadsheetId = body.spreadsheetId || sheetId;
+  if (!spreadsheetId) return null;
+  try {
+    return tableConfig.getSheetTarget(
+      tableConfig.getTableForSheet(body.table, spreadsheetId),
+      spreadsheetId,
+    );
+  } catch (err) {
+    // An unmapped tab with no default spreadsheet to fall back to
+    return null;
+  }
+}
+
+function rejectUnrouted(body, res) {
+  logger.warn("Rejected Sheets request from an unrouted spreadsheet", {
+    table: body.table,
+    spreadsheetId: body.spreadsheetId || sheetId,
+  });
+  return res
+    .status(403)
+    .send("Forbidden: Table is not routed to this spreadsheet");
+}
+
 // Google Sheets Webhook Endpoint
 const sheetsHandler = async (req, res) => {
-  const { row, timestamp, table } = req.body;
-  if (!row || !table)
+  const { row, timestamp } = req.body;
+  if (!row || !req.body.table)
     return res.status(400).send("Invalid row data or missing table name");
   const sheetsSyncedAt = new Date(timestamp);
 
+  // Apps Script sends the tab name and spreadsheet; resolve them to the mirrored table
+  const config = resolveSheetTarget(req.body);
+  if (!config) return rejectUnrouted(req.body, res);
+  const { table } = config;
+  if (!req.isInternal) metrics.recordEvent("sheets", table, "received");
+
   try {
-    // Fetch headers first to find the ID column dynamically
-    const headerResponse = await pRetry(
-      () =>
-        sheets.spreadsheets.values.get({
-          spreadsheetId: sheetId,
-          range: `${table}!1:1`,
-        }),
-      { retries: 3 },
-    );
-    const headers = headerResponse.data.values
-      ? headerResponse.data.values[0]
-      : [];
+    // Fetch headers first to find the ID column dynamically (batches pass them in)
+    const headers = req.sheetHeaders || (await fetchSheetHeaders(config));
+    const columns = tableConfig.resolveColumns(headers, config);
 
     // Structural Alignment log (only if data changed or for the first request in a burst)
     // We already log "Processing Sheets Update" below.
 
-    const idIndex = headers.findIndex(
-      (h) => h && h.trim().toLowerCase() === "id",
-    );
-    if (idIndex === -1) {
-      logger.error(`Missing 'id' column in sheet headers`, { headers });
-      throw new Error(`Sheet '${table}' is missing an 'id' column.`);
+    const keyIndexes = tableConfig.getKeyIndexes(columns, config);
+    if (!keyIndexes) {
+      logger.error(
+        `Missing key column(s) '${config.conflictTarget}' in sheet headers`,
+        { headers },
+      );
+      throw new Error(
+        `Sheet '${config.sheet}' is missing key column(s): ${config.primaryKeys.join(", ")}.`,
+      );
     }
 
-    const rowId = row[idIndex];
+    const rowId = rowKeyFromCells(row, keyIndexes);
     if (!rowId)
       return res.status(400).send("No row ID found in the detected column");
 
-    // BURST PROTECTION: Stop Sheet firehose (multiple onEdit events for one change)
-    // Hybrid: try Redis lock, fall back to local memory if Redis is down
-    const lockKey = `${table}:${rowId}`;
-    let sheetsLockAcquired = false;
-    try {
-      sheetsLockAcquired = await redis.set(
-        `sheets_processing:${lockKey}`,
-        "true",
-        "EX",
-        5,
-        "NX",
-      );
-    } catch (e) {
-      logger.warn(
-        `Redis sheets lock failed, falling back to local memory for ${lockKey}`,
-      );
-      if (!localLocks.has(`sheets:${lockKey}`)) {
-        localLocks.add(`sheets:${lockKey}`);
-        sheetsLockAcquired = true;
-        setTimeout(() => localLocks.delete(`sheets:${lockKey}`), 5000);
-      }
-    }
+    // ROW LOCK: edits to one row are applied one after another. Each request
+    // carries only its own edited cells, so none may be dropped; one that
+    // can't get the lock is answered 503 and Apps Script queues it for retry.
+    const lockKey = tableConfig.rowStateKey("sheets_processing", config, rowId);
+    const sheetsLockAcquired = await acquireRowLock(lockKey, 5, 5000);
     if (!sheetsLockAcquired) {
       logger.info(
-        `Sheets Burst Protection: Already processing ${table}:${rowId}. skipping.`,
+        `Sheets row lock: ${table}:${rowId} is still being processed. Asking for a retry.`,
       );
-      return res.status(200).send("OK (Burst Protected)");
+      metrics.recordEvent("sheets", table, "busy");
+      return res.status(503).send("Busy: row is being processed, retry later");
     }
 
     try {
+      // READ-ONLY: a DB-to-sheet table takes no sheet edits; the DB values go back
+      if (config.direction === "db_to_sheet") {
+        return res
+          .status(200)
+          .send(
+            await revertSheetRow(config, headers, columns, rowId, req.body),
+          );
+      }
+
       logger.info(`Processing Sheets Update: table=${table} rowId=${rowId}`);
 
+      // Real column types drive coercion; fall back to name heuristics if the schema is unreachable
+      const columnTypes = await schemaCache
+        .getColumnTypes(config)
+        .catch((err) => {
+          logger.warn(
+            `Schema lookup failed for ${table}, using name-based types: ${err.message}`,
+          );
+          return null;
+        });
+
       // PRE-UPSERT DEDUPLICATION:
-      const incomingRecord = syncLogic.mapSheetsToSupabase(row, headers);
+      const incomingRecord = syncLogic.mapSheetsToSupabase(
+        row,
+        columns,
+        config,
+        columnTypes,
+      );
+
+      // TENANT CHECK: a spreadsheet only writes the rows of its own tenants
+      if (!tableConfig.ownsRecord(config, incomingRecord)) {
+        logger.warn(
+          `Rejected ${table}:${rowId}: its ${config.tenantColumn} is routed to another spreadsheet`,
+          { spreadsheetId: config.spreadsheetId },
+        );
+        return res
+          .status(403)
+          .send("Forbidden: Row belongs to another spreadsheet");
+      }
 
       // STRUCTURAL DIAGNOSTIC: Log full alignment if misalignment is detected
-      const isMisaligned = row.some(
-        (v, i) =>
-          v &&
-          headers[i] &&
-          headers[i].toLowerCase().includes("id") &&
-          !syncLogic.UUID_REGEX.test(v),
-      );
+      const isMisaligned =
+        config.keyType === "uuid" &&
+        row.some(
+          (v, i) =>
+            v &&
+            columns[i] &&
+            columns[i].toLowerCase().includes("id") &&
+            !syncLogic.UUID_REGEX.test(v),
+        );
       if (isMisaligned) {
         const diagMap = headers
           .slice(0, 10)
@@ -513,105 +1255,309 @@ const sheetsHandler = async (req, res) => {
           `[DIAGNOSTIC] Structural Shift Detected on ${table}:${rowId}: ${diagMap}`,
         );
         // Flag for "Structural Healing" - forces a sync back even if fingerprints match
-        await redis
-          .set(`shifted:${table}:${rowId}`, "true", "EX", 60)
+        await store
+          .set(tableConfig.rowStateKey("shifted", config, rowId), "true", 60)
           .catch(() => {});
       }
 
-      // FK VALIDATION: Only discard category_id when Redis CONFIRMS it's invalid.
-      // If Redis is down, always preserve the category_id to avoid FK violations.
-      if (incomingRecord.category_id) {
-        let fkCheckResult = null;
-        try {
-          fkCheckResult = await redis.sismember(
-            "valid_categories",
-            incomingRecord.category_id,
-          );
-        } catch (e) {
-          // Redis unavailable — skip check, preserve category_id
-          fkCheckResult = 1;
-        }
-        if (!fkCheckResult) {
+      // FK VALIDATION: Check every foreign key (discovered or declared) against its ID cache.
+      // Values are only treated as invalid when the cache CONFIRMS it; if the store is down they're preserved.
+      const foreignKeys = fkCache.getForeignKeys(config, columnTypes);
+      const violations = await fkCache.findViolations(
+        incomingRecord,
+        foreignKeys,
+      );
+      const rejected = violations.filter((v) => v.policy === "reject");
+      if (rejected.length > 0) throw new fkCache.ForeignKeyError(rejected);
+
+      const deferred = violations.filter((v) => v.policy === "defer");
+      if (deferred.length > 0) {
+        await fkCache.deferPayload(table, req.body, deferred);
+        logger.info(
+          `Deferred Sheets update for ${rowId} until parent rows exist`,
+          { missing: deferred.map((v) => `${v.column}=${v.value}`) },
+        );
+        metrics.recordEvent("sheets", table, "deferred");
+        return res.status(202).send("Deferred (Missing Foreign Key)");
+      }
+
+      violations
+        .filter((v) => v.policy === "null")
+        .forEach((v) => {
           logger.warn(
-            `Discarding invalid category_id: ${incomingRecord.category_id} (Not found in Supabase)`,
+            `Discarding invalid ${v.column}: ${v.value} (Not found in ${v.target.table})`,
           );
-          incomingRecord.category_id = null;
-        }
-      }
+          incomingRecord[v.column] = null;
+        });
 
       const incomingFingerprint = syncLogic.calculateFingerprint(
         incomingRecord,
-        headers,
+        columns,
       );
-      const lastFingerprint = await redis
-        .get(`lastfingerprint:${table}:${rowId}`)
+      const lastFingerprint = await store
+        .get(tableConfig.rowStateKey("lastfingerprint", config, rowId))
         .catch(() => null);
-      const localFingerprint = localFingerprints.get(`${table}:${rowId}`);
-      const effectiveLastFingerprint = lastFingerprint || localFingerprint;
 
-      if (incomingFingerprint === effectiveLastFingerprint) {
+      if (incomingFingerprint === lastFingerprint) {
         logger.info(`Dropping duplicate/local-echo Sheets update for ${rowId}`);
-        localLocks.delete(lockKey);
+        metrics.recordEvent("sheets", table, "deduplicated");
         return res.status(200).send("Dropped (Duplicate)");
       }
 
-      // CONFLICT RESOLUTION:
-      const { data: currentRecord } = await pRetry(
-        () => supabase.from(table).select("synced_at").eq("id", rowId).single(),
-        { retries: 3 },
+      // TOMBSTONE CHECK: Never resurrect a row deleted on either side
+      if (await tombstones.isTombstoned(table, rowId)) {
+        logger.info(`Dropping Sheets update for deleted row ${rowId}`, {
+          table,
+        });
+        metrics.recordEvent("sheets", table, "tombstoned");
+        return res.status(200).send("Dropped (Tombstoned)");
+      }
+
+      // CONFLICT RESOLUTION: three-way merge against the last synced snapshot
+      const [{ data: currentRecord }, baseSnapshot] = await Promise.all([
+        pRetry(
+          () =>
+            metrics.timeCall("supabase", "select", () =>
+              tableConfig
+                .fromTable(supabase, config)
+                .select("*")
+                .match(tableConfig.getKeyFilter(rowId, config))
+                .maybeSingle(),
+            ),
+          { retries: 3 },
+        ),
+        store
+          .get(tableConfig.rowStateKey("lastsnapshot", config, rowId))
+          .then((raw) => (raw ? JSON.parse(raw) : null))
+          .catch(() => null),
+      ]);
+      if (currentRecord && !tableConfig.ownsRecord(config, currentRecord)) {
+        logger.warn(
+          `Rejected ${table}:${rowId}: the existing row belongs to another spreadsheet`,
+          { spreadsheetId: config.spreadsheetId },
+        );
+        return res
+          .status(403)
+          .send("Forbidden: Row belongs to another spreadsheet");
+      }
+      // A row outside the rowFilter is on its way out of the tab
+      if (currentRecord && !tableConfig.matchesFilter(config, currentRecord)) {
+        logger.warn(
+          `Rejected ${table}:${rowId}: the existing row doesn't match the row filter`,
+        );
+        return res
+          .status(403)
+          .send("Forbidden: Row is outside the tab's row filter");
+      }
+
+      // An intake tab (sheet_to_db) is the source of truth: the DB is never newer
+      const supabaseIsNewer = !!(
+        config.direction !== "sheet_to_db" &&
+        currentRecord &&
+        currentRecord.synced_at &&
+        new Date(currentRecord.synced_at) > sheetsSyncedAt
+      );
+
+      // Prepare final payload for Supabase
+      let supabaseRecord = { ...incomingRecord };
+      syncLogic.MERGE_EXCLUDED_FIELDS.forEach(
+        (field) => delete supabaseRecord[field],
       );
 
-      if (currentRecord && currentRecord.synced_at) {
-        const supabaseSyncedAt = new Date(currentRecord.synced_at);
-        if (supabaseSyncedAt > sheetsSyncedAt) {
+      // Column-level patch: only the edited cells are applied
+      const patch = Array.isArray(req.body.columns)
+        ? syncLogic.readSheetPatch(
+            row,
+            headers,
+            columns,
+            req.body,
+            config,
+            columnTypes,
+          )
+        : null;
+
+      // Apps Script only reports old values for single-cell edits; the other
+      // edited cells take theirs from the snapshot, which tracks both directions
+      if (patch && baseSnapshot) {
+        patch.fields
+          .filter(
+            (field) => !(field in patch.oldValues) && field in baseSnapshot,
+          )
+          .forEach((field) => (patch.oldValues[field] = baseSnapshot[field]));
+      }
+
+      if (currentRecord && (baseSnapshot || patch)) {
+        // Old values reported by Apps Script are the exact base of their cells
+        const base = { ...baseSnapshot, ...(patch && patch.oldValues) };
+        const fields = (
+          patch ? patch.fields : Object.keys(supabaseRecord)
+        ).filter(
+          (field) =>
+            !config.primaryKeys.includes(field) &&
+            !syncLogic.MERGE_EXCLUDED_FIELDS.includes(field),
+        );
+        const { sheetChanges, conflicts } = syncLogic.mergeThreeWay(
+          base,
+          incomingRecord,
+          currentRecord,
+          fields,
+        );
+        // Edited cells with no known base fall back to the whole-row rule
+        if (patch) {
+          fields
+            .filter(
+              (field) =>
+                !(field in base) &&
+                !syncLogic.valuesEqual(
+                  incomingRecord[field],
+                  currentRecord[field],
+                ),
+            )
+            .forEach((field) => {
+              if (!supabaseIsNewer) sheetChanges[field] = incomingRecord[field];
+              else
+                conflicts.push({
+                  field,
+                  sheet: incomingRecord[field],
+                  db: currentRecord[field],
+                });
+            });
+        }
+
+        // Fields changed on both sides go to whichever side is newer, except
+        // that a cell whose old value the DB no longer holds never overwrites it
+        const kept = conflicts.filter(
+          (c) => supabaseIsNewer || (patch && c.field in patch.oldValues),
+        );
+        conflicts
+          .filter((c) => !kept.includes(c))
+          .forEach((c) => (sheetChanges[c.field] = c.sheet));
+
+        if (kept.length > 0) {
+          await reportConflict(
+            config,
+            rowId,
+            incomingRecord,
+            currentRecord,
+            Object.keys(base).length > 0 ? base : null,
+            kept.map((c) => c.field),
+            req,
+          );
+        }
+
+        if (Object.keys(sheetChanges).length === 0) {
+          if (kept.length > 0) {
+            logger.info(
+              `Conflict Detected! Supabase changed the same field(s) later for ${rowId}. Dropping.`,
+              { rowId, fields: kept.map((c) => c.field) },
+            );
+            metrics.recordEvent("sheets", table, "conflict_dropped");
+            return res.status(200).send("Dropped due to conflict");
+          }
+          logger.info(`No sheet-side changes for ${rowId} since last sync`);
+          metrics.recordEvent("sheets", table, "deduplicated");
+          return res.status(200).send("Skipped (No Sheet Changes)");
+        }
+
+        if (kept.length > 0) {
           logger.info(
-            `Conflict Detected! Supabase record is newer for ${rowId}. Dropping.`,
-            { rowId },
+            `Partial conflict for ${rowId}: kept newer Supabase values, applying the rest`,
+            {
+              kept: kept.map((c) => c.field),
+              applied: Object.keys(sheetChanges),
+            },
           );
-          return res.status(200).send("Dropped due to conflict");
         }
-      }
 
-      // Prepare final payload for Supabase
-      const supabaseRecord = { ...incomingRecord };
-      const fieldsToExclude = [
-        "created_at",
-        "updated_at",
-        "synced_at",
-        "source",
-      ];
-      fieldsToExclude.forEach((field) => delete supabaseRecord[field]);
+        // Only send what the sheet changed so concurrent DB edits survive
+        supabaseRecord = {};
+        config.primaryKeys.forEach((key) => {
+          supabaseRecord[key] = incomingRecord[key];
+        });
+        Object.assign(supabaseRecord, sheetChanges);
+      } else if (supabaseIsNewer) {
+        // No base snapshot to merge against: whole-row rule
+        logger.info(
+          `Conflict Detected! Supabase record is newer for ${rowId}. Dropping.`,
+          { rowId },
+        );
+        const differing = Object.keys(supabaseRecord).filter(
+          (field) =>
+            !config.primaryKeys.includes(field) &&
+            !syncLogic.valuesEqual(incomingRecord[field], currentRecord[field]),
+        );
+        if (differing.length > 0) {
+          await reportConflict(
+            config,
+            rowId,
+            incomingRecord,
+            currentRecord,
+            null,
+            differing,
+            req,
+          );
+        }
+        metrics.recordEvent("sheets", table, "conflict_dropped");
+        return res.status(200).send("Dropped due to conflict");
+      }
 
       supabaseRecord.source = "sheets"; // Tag origin for loop prevention
       supabaseRecord.synced_at = sheetsSyncedAt.toISOString();
 
       const { error } = await pRetry(
-        () => supabase.from(table).upsert(supabaseRecord, { onConflict: "id" }),
+        () =>
+          metrics.timeCall("supabase", "upsert", () =>
+            tableConfig
+              .fromTable(supabase, config)
+              .upsert(supabaseRecord, { onConflict: config.conflictTarget }),
+          ),
         { retries: 3 },
       );
 
       if (error) throw error;
 
       logger.info("Upserted Supabase record from Sheets", { rowId });
+      await syncStatus.recordSync("sheets_to_supabase", table);
+      metrics.recordEvent("sheets", table, "applied");
+      metrics.observeSyncLatency("sheets", table, timestamp);
 
-      // Store fingerprint to prevent infinite loops — must have .catch() since Redis may be down
-      await redis
+      // Store fingerprint to prevent infinite loops — must have .catch() since the store may be down
+      await store
         .set(
-          `lastfingerprint:${table}:${rowId}`,
+          tableConfig.rowStateKey("lastfingerprint", config, rowId),
           incomingFingerprint,
-          "EX",
           3600,
         )
         .catch(() => {});
-      localFingerprints.set(`${table}:${rowId}`, incomingFingerprint);
+
+      // The merged row becomes the base for the next three-way merge
+      await store
+        .set(
+          tableConfig.rowStateKey("lastsnapshot", config, rowId),
+          JSON.stringify(
+            syncLogic.buildSnapshot(
+              { ...(currentRecord || {}), ...supabaseRecord },
+              columns,
+            ),
+          ),
+          BASE_SNAPSHOT_TTL_S,
+        )
+        .catch(() => {});
 
       res.status(200).send("OK");
     } finally {
-      // Clear burst lock slowly to allow firehose to drain
-      setTimeout(() => redis.del(lockKey).catch(() => {}), 2000);
+      // Release right away so the next edit of this row can go ahead
+      await store.del(lockKey).catch(() => {});
     }
   } catch (error) {
+    if (req.isReplay) throw error;
     await logSyncError("sheets", req.body, error);
+    if (
+      error instanceof syncLogic.CoercionError ||
+      error instanceof fkCache.ForeignKeyError
+    ) {
+      return res.status(422).send(error.message);
+    }
     res.status(500).send("Internal Server Error");
   }
 };
@@ -619,10 +1565,755 @@ const sheetsHandler = async (req, res) => {
 registry.register("sheets", sheetsHandler);
 app.post(
   "/sheets-webhook",
+  createSheetsAuthMiddleware(),
   createWebhookMiddleware("sheets"),
   registry.dispatch("sheets"),
 );
 
+// Google Sheets Batch Endpoint: every row of one edit, processed in order
+const SHEETS_BATCH_MAX_ROWS = 500;
+
+const sheetsBatchHandler = async (req, res) => {
+  const { rows, timestamp, editor } = req.body;
+  if (!req.body.table || !Array.isArray(rows) || rows.length === 0)
+    return res.status(400).send("Invalid rows or missing table name");
+  if (rows.length > SHEETS_BATCH_MAX_ROWS)
+    return res
+      .status(413)
+      .send(`Too many rows (max ${SHEETS_BATCH_MAX_ROWS} per batch)`);
+
+  const config = resolveSheetTarget(req.body);
+  if (!config) return rejectUnrouted(req.body, res);
+  metrics.recordEvent("sheets", config.table, "received", rows.length);
+
+  let headers;
+  try {
+    headers = await fetchSheetHeaders(config);
+  } catch (error) {
+    logger.error(`Batch header fetch failed for ${config.sheet}`, {
+      error: error.message,
+    });
+    return res.status(500).send("Internal Server Error");
+  }
+
+  const results = [];
+  for (const entry of rows) {
+    const body = {
+      table: req.body.table,
+      spreadsheetId: req.body.spreadsheetId,
+      row: entry.row,
+      rowNumber: entry.rowNumber,
+      // Rows retried from the Apps Script queue keep their original edit time
+      timestamp: entry.timestamp || timestamp,
+      editor: entry.editor || editor,
+      columns: entry.columns,
+      oldValues: entry.oldValues,
+    };
+    try {
+      const result = await invokeHandler(sheetsHandler, body, {
+        sheetHeaders: headers,
+      });
+      results.push({
+        rowNumber: entry.rowNumber,
+        status: result.status,
+        result: result.body,
+      });
+    } catch (error) {
+      results.push({
+        rowNumber: entry.rowNumber,
+        status: 500,
+        result: error.message,
+      });
+    }
+  }
+
+  logger.info(`Processed Sheets batch for ${config.table}`, {
+    rows: rows.length,
+    failed: results.filter((r) => r.status >= 400).length,
+  });
+  res.status(200).json({ results });
+};
+
+registry.register("sheets-batch", sheetsBatchHandler);
+app.post(
+  "/sheets-batch-webhook",
+  createSheetsAuthMiddleware(),
+  createWebhookMiddleware("sheets-batch"),
+  registry.dispatch("sheets-batch"),
+);
+
+/**
+ * Rows were removed from the sheet: drops their cache entries and shifts the
+ * cached indexes of the rows below them up.
+ * @param {Array<{ row: number }>} rows - The removed rows, as sent by Apps Script.
+ * @param {Array<string>} rowIds - Keys of the removed rows.
+ */
+async function forgetRemovedRows(config, rows, rowIds) {
+  // Highest row first so each shift sees indexes that are still accurate
+  const removedRows = rows
+    .map((r) => Number(r.row))
+    .filter((n) => Number.isInteger(n) && n > 1)
+    .sort((a, b) => b - a);
+  for (const removedRow of removedRows) {
+    await syncLogic.shiftRowIndexes(config, removedRow).catch((err) => {
+      logger.warn(
+        `Row index fix-up failed for ${config.table}: ${err.message}`,
+      );
+    });
+  }
+  await Promise.all(
+    rowIds.map((rowId) =>
+      store
+        .del(
+          tableConfig.rowStateKey("rowindex", config, rowId),
+          tableConfig.rowStateKey("lastfingerprint", config, rowId),
+          tableConfig.rowStateKey("lastsnapshot", config, rowId),
+        )
+        .catch(() => {}),
+    ),
+  );
+}
+
+/**
+ * Writes rows removed from a DB-to-sheet tab back into it. Each row goes
+ * through the Supabase pipeline as an UPDATE, so routing and the rowFilter
+ * still apply.
+ */
+async function restoreSheetRows(config, rowIds) {
+  const records = await reconciler.fetchRecordsByKeys(config, rowIds);
+  for (const record of records) {
+    await acceptSupabaseEvent({
+      type: "UPDATE",
+      table: config.table,
+      schema: config.schema,
+      record,
+      old_record: null,
+    });
+  }
+  return records.length;
+}
+
+// Google Sheets Row Deletion Endpoint
+const sheetsDeleteHandler = async (req, res) => {
+  const { rows, timestamp } = req.body;
+  if (!req.body.table || !Array.isArray(rows) || rows.length === 0)
+    return res.status(400).send("Invalid deleted rows or missing table name");
+  const config = resolveSheetTarget(req.body);
+  if (!config) return rejectUnrouted(req.body, res);
+  const { table } = config;
+  const deletedAt = new Date(timestamp || Date.now()).toISOString();
+  // Composite keys arrive as an array of key values in primaryKey order
+  let rowIds = rows
+    .filter((r) => r && r.id !== undefined && r.id !== null && r.id !== "")
+    .map((r) =>
+      Array.isArray(r.id) ? tableConfig.encodeRowKey(r.id) : String(r.id),
+    );
+  if (rowIds.length === 0) return res.status(400).send("No row IDs found");
+  if (!req.isInternal) {
+    metrics.recordEvent("sheets-delete", table, "received", rowIds.length);
+  }
+
+  try {
+    logger.info(
+      `Processing Sheets Delete: table=${table} rows=${rowIds.length}`,
+      { mode: config.deleteMode },
+    );
+
+    // A tab only deletes the rows mirrored into it (its tenants, its rowFilter)
+    if (tableConfig.isScoped(config)) {
+      const owned = new Set(
+        (await reconciler.fetchRecordsByKeys(config, rowIds)).map((r) =>
+          tableConfig.getRowKey(r, config),
+        ),
+      );
+      const foreign = rowIds.filter((rowId) => !owned.has(rowId));
+      if (foreign.length > 0) {
+        logger.warn(
+          `Ignoring delete of ${foreign.length} row(s) not mirrored into spreadsheet ${config.spreadsheetId}`,
+          { table, rowIds: foreign },
+        );
+      }
+      rowIds = rowIds.filter((rowId) => owned.has(rowId));
+    }
+
+    // READ-ONLY: the rows stay in the database and are written back to the tab
+    if (config.direction === "db_to_sheet") {
+      await forgetRemovedRows(config, rows, rowIds);
+      const restored = await restoreSheetRows(config, rowIds);
+      metrics.recordEvent("sheets-delete", table, "reverted", rowIds.length);
+      logger.info(
+        `Read-only: restoring ${restored} deleted row(s) of ${table}`,
+        {
+          rowIds,
+        },
+      );
+      return res.status(200).send("Restored (Read Only)");
+    }
+
+    // Tombstone first so reconcile/onEdit echoes can't resurrect the rows mid-delete
+    await tombstones.recordTombstones(table, rowIds, "sheets");
+
+    // Single keys go in one request; composite keys need one filter per row
+    const filters =
+      config.primaryKeys.length === 1 && rowIds.length > 0
+        ? [(query) => query.in(config.primaryKeys[0], rowIds)]
+        : rowIds.map(
+            (rowId) => (query) =>
+              query.match(tableConfig.getKeyFilter(rowId, config)),
+          );
+
+    for (const applyFilter of filters) {
+      const { error } = await pRetry(
+        () =>
+          metrics.timeCall("supabase", "delete", () => {
+            const query = tableConfig.fromTable(supabase, config);
+            return tableConfig.scopeQuery(
+              applyFilter(
+                config.deleteMode === "soft"
+                  ? query.update({
+                      deleted_at: deletedAt,
+                      source: "sheets",
+                      synced_at: deletedAt,
+                    })
+                  : query.delete(),
+              ),
+              config,
+            );
+          }),
+        { retries: 3 },
+      );
+      if (error) throw error;
+    }
+
+    await forgetRemovedRows(config, rows, rowIds);
+
+    await syncStatus.recordSync("sheets_to_supabase", table);
+    metrics.recordEvent("sheets-delete", table, "applied", rowIds.length);
+    metrics.observeSyncLatency("sheets-delete", table, deletedAt);
+
+    logger.info("Deleted Supabase records from Sheets", {
+      table,
+      rowIds,
+    });
+    res.status(200).send("OK");
+  } catch (error) {
+    if (req.isReplay) throw error;
+    await logSyncError("sheets-delete", req.body, error);
+    res.status(500).send("Internal Server Error");
+  }
+};
+
+registry.register("sheets-delete", sheetsDeleteHandler);
+app.post(
+  "/sheets-delete-webhook",
+  createSheetsAuthMiddleware(),
+  createWebhookMiddleware("sheets-delete"),
+  registry.dispatch("sheets-delete"),
+);
+
+// Admin: Dead-letter replay
+const adminAuth = createAdminAuthMiddleware();
+
+// Re-runs one sync_errors entry through the handler that originally failed
+async function replaySyncError(entry) {
+  try {
+    if (entry.source === "supabase") {
+      await processSupabaseEvent(entry.payload);
+    } else {
+      const handler = {
+        sheets: sheetsHandler,
+        "sheets-delete": sheetsDeleteHandler,
+      }[entry.source];
+      if (!handler) throw new Error(`No handler for source '${entry.source}'`);
+
+      const result = await invokeHandler(handler, entry.payload, {
+        replay: true,
+      });
+      if (result.status >= 400) {
+        throw new Error(`HTTP ${result.status}: ${result.body}`);
+      }
+    }
+    logger.info(`Replayed sync error ${entry.id}`, { source: entry.source });
+    return await syncErrors.recordReplay(entry, null);
+  } catch (error) {
+    logger.warn(`Replay of sync error ${entry.id} failed: ${error.message}`);
+    return syncErrors.recordReplay(entry, error);
+  }
+}
+
+function parseErrorFilters(input) {
+  return {
+    table: input.table,
+    source: input.source,
+    status: syncErrors.parseStatuses(input.status),
+    since: input.since,
+    until: input.until,
+    error: input.error,
+    limit: input.limit,
+  };
+}
+
+app.get("/admin/sync-errors", adminAuth, async (req, res) => {
+  let filters;
+  try {
+    filters = parseErrorFilters(req.query);
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
+
+  try {
+    const entries = await syncErrors.listSyncErrors(filters);
+    res.status(200).json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error("Listing sync errors failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Body: { ids: [...] } or { filters: {...} } (filters default to pending + failed)
+app.post("/admin/sync-errors/replay", adminAuth, async (req, res) => {
+  const { ids, filters: rawFilters } = req.body || {};
+  if (!Array.isArray(ids) && !rawFilters) {
+    return res.status(400).send("Provide 'ids' or 'filters'");
+  }
+
+  let filters;
+  try {
+    filters = rawFilters
+      ? parseErrorFilters({ status: "pending,failed", ...rawFilters })
+      : null;
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
+
+  try {
+    const entries = Array.isArray(ids)
+      ? await syncErrors.getSyncErrors(ids)
+      : await syncErrors.listSyncErrors(filters);
+
+    // Oldest first, one at a time, so replays apply in their original order
+    entries.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const results = [];
+    for (const entry of entries) {
+      const updated = await replaySyncError(entry);
+      results.push({
+        id: updated.id,
+        status: updated.status,
+        attempts: updated.attempts,
+        last_error: updated.last_error,
+      });
+    }
+
+    res.status(200).json({
+      replayed: results.filter((r) => r.status === "replayed").length,
+      failed: results.filter((r) => r.status === "failed").length,
+      results,
+    });
+  } catch (error) {
+    logger.error("Replaying sync errors failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/admin/sync-errors/discard", adminAuth, async (req, res) => {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).send("Provide a non-empty 'ids' array");
+  }
+
+  try {
+    const discarded = await syncErrors.discardSyncErrors(ids);
+    logger.info(`Discarded ${discarded} sync error(s)`, { ids });
+    res.status(200).json({ discarded });
+  } catch (error) {
+    logger.error("Discarding sync errors failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Admin: Conflict inbox
+app.get("/admin/conflicts", adminAuth, async (req, res) => {
+  try {
+    const entries = await conflictInbox.listConflicts({
+      status: req.query.status || "open",
+      table: req.query.table,
+      limit: req.query.limit,
+    });
+    res.status(200).json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error("Listing conflicts failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Body: { resolution: "keep_sheet" | "keep_db" | "fields", choices: { field: "sheet" | "db" } }
+app.post("/admin/conflicts/:id/resolve", adminAuth, async (req, res) => {
+  const { resolution, choices } = req.body || {};
+
+  try {
+    const conflict = await conflictInbox.getConflict(req.params.id);
+    if (!conflict) return res.status(404).send("Conflict not found");
+    if (conflict.status === "resolved") {
+      return res.status(409).send("Conflict already resolved");
+    }
+
+    let values;
+    try {
+      values = conflictInbox.resolveValues(conflict, resolution, choices);
+    } catch (err) {
+      return res.status(400).send(err.message);
+    }
+
+    const config = tableConfig.getTableConfig(conflict.table_name);
+    const keyFilter = tableConfig.getKeyFilter(conflict.row_id, config);
+    const { data: current, error: selectError } = await pRetry(
+      () =>
+        metrics.timeCall("supabase", "select", () =>
+          tableConfig
+            .fromTable(supabase, config)
+            .select("*")
+            .match(keyFilter)
+            .maybeSingle(),
+        ),
+      { retries: 3 },
+    );
+    if (selectError) throw selectError;
+    if (!current) return res.status(409).send("Row no longer exists");
+
+    // Only sheet-side values are written; DB-side fields keep the current row
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (!syncLogic.valuesEqual(current[field], value)) changes[field] = value;
+    });
+    const resolvedValues = {};
+    conflict.fields.forEach((field) => {
+      resolvedValues[field] = field in values ? values[field] : current[field];
+    });
+
+    if (Object.keys(changes).length > 0) {
+      // Write the chosen values; the Supabase webhook mirrors the row back to the sheet
+      const now = new Date().toISOString();
+      const { error } = await pRetry(
+        () =>
+          metrics.timeCall("supabase", "update", () =>
+            tableConfig
+              .fromTable(supabase, config)
+              .update({ ...changes, source: "conflict_inbox", synced_at: now })
+              .match(keyFilter),
+          ),
+        { retries: 3 },
+      );
+      if (error) throw error;
+    } else {
+      // Nothing to write: bring the sheet in line with the current row
+      const event = {
+        type: "UPDATE",
+        table: config.table,
+        schema: config.schema,
+        record: current,
+      };
+      await supabaseJobs
+        .enqueue(event)
+        .catch(() => processSupabaseEvent(event));
+    }
+
+    const resolved = await conflictInbox.markResolved(
+      conflict.id,
+      resolution,
+      resolvedValues,
+    );
+    logger.info(`Resolved sync conflict ${conflict.id} (${resolution})`, {
+      table: config.table,
+      rowId: conflict.row_id,
+      written: Object.keys(changes),
+    });
+    res.status(200).json(resolved);
+  } catch (error) {
+    logger.error("Resolving conflict failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Admin: Per-table sync health
+async function getRowIndexStats() {
+  const counts = {};
+  for await (const keys of store.scan("rowindex:*", 1000)) {
+    keys.forEach((key) => {
+      // rowindex:<spreadsheetId>:<table>:<rowId>
+      const table = key.split(":")[2];
+      counts[table] = (counts[table] || 0) + 1;
+    });
+  }
+  return counts;
+}
+
+function getHeaderCacheStats() {
+  const now = Date.now();
+  const stats = {};
+  for (const {
+    table,
+    spreadsheetId,
+    headers,
+    timestamp,
+  } of headerCache.values()) {
+    stats[table] = stats[table] || {};
+    stats[table][spreadsheetId] = {
+      columns: headers.length,
+      age_ms: now - timestamp,
+      fresh: now - timestamp < HEADER_CACHE_TTL,
+    };
+  }
+  return stats;
+}
+
+app.get("/admin/status", adminAuth, async (req, res) => {
+  const now = Date.now();
+  // Each section degrades on its own so one outage doesn't hide the rest
+  const settle = (promise) => promise.catch((err) => ({ error: err.message }));
+
+  const [
+    jobs,
+    lastSync,
+    lastConsistent,
+    rowIndexes,
+    lastHour,
+    lastDay,
+    outstanding,
+  ] = await Promise.all([
+    settle(supabaseJobs.stats()),
+    settle(syncStatus.getLastSyncTimes()),
+    settle(syncStatus.getLastConsistentTimes()),
+    settle(getRowIndexStats()),
+    settle(syncErrors.countRecentErrors(new Date(now - 3600000).toISOString())),
+    settle(
+      syncErrors.countRecentErrors(new Date(now - 86400000).toISOString()),
+    ),
+    settle(syncErrors.countOutstanding()),
+  ]);
+
+  // Every configured table is listed, even before its first sync
+  const tables = {};
+  const drift = driftDetector.getDriftState();
+  const configs = new Map(
+    tableConfig.listTableConfigs().map((c) => [c.table, c]),
+  );
+  const tableNames = new Set([
+    ...configs.keys(),
+    ...Object.keys(lastSync.error ? {} : lastSync),
+    ...Object.keys(lastDay.byTable || {}).filter((t) => t !== "unknown"),
+  ]);
+  for (const table of tableNames) {
+    tables[table] = {
+      spreadsheets: configs.has(table)
+        ? tableConfig.listSpreadsheetIds(configs.get(table))
+        : [sheetId],
+      direction: configs.has(table) ? configs.get(table).direction : "both",
+      last_sync: (!lastSync.error && lastSync[table]) || {
+        supabase_to_sheets: null,
+        sheets_to_supabase: null,
+      },
+      errors_last_hour: lastHour.error ? null : lastHour.byTable[table] || 0,
+      errors_last_24h: lastDay.error ? null : lastDay.byTable[table] || 0,
+      row_indexes_cached: rowIndexes.error ? null : rowIndexes[table] || 0,
+      last_verified_consistent: lastConsistent.error
+        ? null
+        : lastConsistent[table] || null,
+      drift: drift[table] || null,
+    };
+  }
+
+  res.status(200).json({
+    status: "ok",
+    uptime_s: Math.round(process.uptime()),
+    sheets_queue: {
+      size: sheetsQueue.size,
+      pending: sheetsQueue.pending,
+      paused: sheetsQueue.isPaused,
+    },
+    sheets_writer: { buffered: sheetsWriter.pendingCount },
+    jobs,
+    realtime: realtimeSource ? realtimeSource.status() : null,
+    pg_source: pgSource ? pgSource.status() : null,
+    loop_breaker: getLoopBreakerState(),
+    errors: {
+      last_hour: lastHour,
+      last_24h: lastDay,
+      outstanding,
+    },
+    header_cache: getHeaderCacheStats(),
+    row_indexes: rowIndexes,
+    tables,
+  });
+});
+
+// Prometheus Metrics (gauges are read at scrape time)
+metrics.registerGauge(
+  "mirror_queue_depth",
+  "Items waiting in each internal queue",
+  ["queue"],
+  async (gauge) => {
+    gauge.set({ queue: "sheets_queue" }, sheetsQueue.size);
+    gauge.set({ queue: "sheets_queue_pending" }, sheetsQueue.pending);
+    gauge.set({ queue: "sheets_writer_buffered" }, sheetsWriter.pendingCount);
+    const jobs = await supabaseJobs.stats().catch(() => null);
+    if (jobs) {
+      gauge.set({ queue: "jobs_queued" }, jobs.queued);
+      gauge.set({ queue: "jobs_delayed" }, jobs.delayed);
+      gauge.set({ queue: "jobs_active" }, jobs.active);
+    }
+  },
+);
+
+metrics.registerGauge(
+  "mirror_loop_breaker_paused",
+  "1 while the loop breaker is pausing a webhook source",
+  ["source"],
+  (gauge) => {
+    Object.entries(getLoopBreakerState()).forEach(([source, state]) =>
+      gauge.set({ source }, state.paused ? 1 : 0),
+    );
+  },
+);
+
+metrics.registerGauge(
+  "mirror_loop_breaker_hits",
+  "Events counted in the current loop-breaker window per source",
+  ["source"],
+  (gauge) => {
+    Object.entries(getLoopBreakerState()).forEach(([source, state]) =>
+      gauge.set({ source }, state.hits),
+    );
+  },
+);
+
+// Alert on sync lag with e.g. time() - mirror_last_sync_timestamp_seconds > 900
+metrics.registerGauge(
+  "mirror_last_sync_timestamp_seconds",
+  "Unix time of the last successful sync per table and direction",
+  ["table", "direction"],
+  async (gauge) => {
+    const times = await syncStatus.getLastSyncTimes();
+    Object.entries(times).forEach(([table, directions]) =>
+      Object.entries(directions).forEach(([direction, time]) => {
+        if (time) gauge.set({ table, direction }, Date.parse(time) / 1000);
+      }),
+    );
+  },
+);
+
+metrics.registerGauge(
+  "mirror_realtime_subscribed",
+  "1 while the Realtime channel for a table is subscribed",
+  ["table"],
+  (gauge) => {
+    if (!realtimeSource) return;
+    Object.entries(realtimeSource.status()).forEach(([table, state]) =>
+      gauge.set({ table }, state.status === "SUBSCRIBED" ? 1 : 0),
+    );
+  },
+);
+
+// Alert on silent divergence with time() - mirror_last_consistent_timestamp_seconds > 1800
+metrics.registerGauge(
+  "mirror_last_consistent_timestamp_seconds",
+  "Unix time the drift detector last found each table consistent",
+  ["table"],
+  async (gauge) => {
+    const times = await syncStatus.getLastConsistentTimes();
+    Object.entries(times).forEach(([table, time]) =>
+      gauge.set({ table }, Date.parse(time) / 1000),
+    );
+  },
+);
+
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.register.contentType);
+    res.status(200).send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error("Metrics collection failed", { error: error.message });
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+/**
+ * Discovers FKs of every configured table, keeps their ID caches fresh (every 5 minutes)
+ * and re-runs deferred Sheets rows once their parent rows exist.
+ */
+async function startForeignKeyCache() {
+  const preload = [];
+  for (const config of tableConfig.listTableConfigs()) {
+    const columnTypes = await schemaCache
+      .getColumnTypes(config)
+      .catch(() => null);
+    preload.push({ config, columnTypes });
+  }
+
+  fkCache.startRefreshLoop(
+    preload,
+    async (entry) => {
+      const result = await invokeHandler(sheetsHandler, entry.payload);
+      logger.info(`Retried deferred Sheets row for ${entry.table}`, result);
+    },
+    (entry) =>
+      logSyncError(
+        "sheets",
+        entry.payload,
+        new Error(
+          `Deferred row expired: parent rows never appeared (${entry.missing
+            .map((m) => `${m.target.table}.${m.target.column}=${m.value}`)
+            .join(", ")})`,
+        ),
+      ),
+  );
+}
+
+startForeignKeyCache();
+supabaseJobs
+  .start()
+  .catch((err) =>
+    logger.error(`Failed to start the Supabase job queue: ${err.message}`),
+  );
+
+// SUPABASE_INGESTION=realtime subscribes to postgres_changes; /supabase-webhook keeps working either way
+const realtimeSource =
+  process.env.SUPABASE_INGESTION === "realtime"
+    ? new RealtimeSource({
+        onChange: acceptSupabaseEvent,
+        // Sheet-to-DB tables never take database changes, so skip their channels
+        tables: tableConfig
+          .listTableConfigs()
+          .filter((config) => config.direction !== "sheet_to_db"),
+      })
+    : null;
+if (realtimeSource) realtimeSource.start();
+
+// PG_SOURCE_URL adds a plain Postgres source (triggers from `npm run pg-source -- install`)
+const pgSource = process.env.PG_SOURCE_URL
+  ? new PgNotifySource({
+      connectionString: process.env.PG_SOURCE_URL,
+      channel: process.env.PG_SOURCE_CHANNEL || undefined,
+      tables: tableConfig.listTableConfigs(),
+      onChange: acceptSupabaseEvent,
+    })
+  : null;
+if (pgSource) {
+  pgSource
+    .start()
+    .catch((err) =>
+      logger.error(`Failed to start the Postgres source: ${err.message}`),
+    );
+}
+
+// DRIFT_CHECK_INTERVAL_MS=0 turns the drift detector off
+if (process.env.DRIFT_CHECK_INTERVAL_MS !== "0") {
+  driftDetector.startDriftDetector({
+    intervalMs: Number(process.env.DRIFT_CHECK_INTERVAL_MS) || undefined,
+    chunkSize: Number(process.env.DRIFT_CHUNK_SIZE) || undefined,
+    repair: process.env.DRIFT_REPAIR !== "false",
+  });
+}
+
 const server = app.listen(port, () => {
   logger.info(`Middleware server listening on port ${port}`, {
     env: process.env.NODE_ENV,
@@ -638,12 +2329,28 @@ async function shutdown(signal) {
   });
 
   try {
+    if (realtimeSource) {
+      logger.info("Closing Realtime subscriptions...");
+      await realtimeSource.stop();
+    }
+    if (pgSource) {
+      logger.info("Closing the Postgres source...");
+      await pgSource.stop();
+    }
+
+    logger.info("Finishing in-flight jobs...");
+    await supabaseJobs.stop();
+    await driftDetector.stopDriftDetector();
+
+    logger.info("Flushing buffered Sheets writes...");
+    await sheetsWriter.flushAll();
+
     logger.info("Waiting for pending queue items...");
     await sheetsQueue.onIdle();
     logger.info("Queue idle.");
 
-    await redis.quit();
-    logger.info("Redis connection closed.");
+    await store.close();
+    logger.info("State store closed.");
 
     process.exit(0);
   } catch (err) {
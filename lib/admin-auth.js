@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Compares two strings in constant time (via their SHA-256 digests, so
+ * lengths don't leak either).
+ */
+function safeEqual(a, b) {
+  const digest = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Guards the /admin endpoints with a bearer token (ADMIN_API_TOKEN).
+ */
+function createAdminAuthMiddleware() {
+  return function adminAuthMiddleware(req, res, next) {
+    const token = (process.env.ADMIN_API_TOKEN || "").replace(/^"|"$/g, "");
+    if (!token) {
+      logger.error("ADMIN_API_TOKEN is not set. Rejecting admin request.");
+      return res.status(401).send("Unauthorized: Admin API not configured");
+    }
+
+    const header = req.headers.authorization || "";
+    const provided = header.startsWith("Bearer ") ? header.slice(7) : "";
+    if (!provided || !safeEqual(provided, token)) {
+      logger.warn("Rejected admin request with invalid token", {
+        path: req.path,
+        ip: req.ip,
+      });
+      return res.status(401).send("Unauthorized: Invalid Admin Token");
+    }
+
+    next();
+  };
+}
+
+module.exports = { createAdminAuthMiddleware };
@@ -0,0 +1,131 @@
+const supabase = require('./supabase-client');
+const { default: pRetry } = require('p-retry');
+
+const CONFLICTS_TABLE = 'sync_conflicts';
+
+// keep_sheet: the sheet edit wins, keep_db: the database row wins,
+// fields: a per-field choice of 'sheet' or 'db'
+const RESOLUTIONS = ['keep_sheet', 'keep_db', 'fields'];
+
+/**
+ * Records a sheet edit that lost (fully or partly) to a newer database change.
+ * @param {object} conflict
+ * @param {string} conflict.table - The mirrored table.
+ * @param {string} conflict.rowId - Row key (see table-config encodeRowKey).
+ * @param {object} conflict.sheetRow - The sheet version (mapped to columns).
+ * @param {object} conflict.dbRow - The database version at the time.
+ * @param {object|null} conflict.base - Last synced snapshot, if any.
+ * @param {Array<string>} conflict.fields - Fields whose sheet value was dropped.
+ * @param {string|null} conflict.editedBy - Editor email reported by Apps Script.
+ * @param {string} conflict.editedAt - When the sheet edit was made.
+ * @returns {Promise<object>} - The stored conflict.
+ */
+async function recordConflict(conflict) {
+  const { data, error } = await pRetry(() => supabase
+    .from(CONFLICTS_TABLE)
+    .insert({
+      table_name: conflict.table,
+      row_id: String(conflict.rowId),
+      sheet_row: conflict.sheetRow,
+      db_row: conflict.dbRow,
+      base_row: conflict.base,
+      fields: conflict.fields,
+      edited_by: conflict.editedBy || null,
+      edited_at: conflict.editedAt,
+      status: 'open',
+    })
+    .select()
+    .single(), { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Lists conflicts, newest first.
+ * @param {object} filters - { status, table, limit }
+ * @returns {Promise<Array<object>>}
+ */
+async function listConflicts(filters = {}) {
+  const limit = Math.min(Number(filters.limit) || 100, 1000);
+  const { data, error } = await pRetry(() => {
+    let query = supabase
+      .from(CONFLICTS_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.table) query = query.eq('table_name', filters.table);
+    return query;
+  }, { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * @returns {Promise<object|null>}
+ */
+async function getConflict(id) {
+  const { data, error } = await pRetry(() => supabase
+    .from(CONFLICTS_TABLE)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle(), { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Works out the field values a resolution writes. Only fields resolved to the
+ * sheet are returned: a field kept on the DB side keeps whatever the database
+ * holds now, which may be newer than the db_row saved with the conflict.
+ * @param {object} conflict - A sync_conflicts row.
+ * @param {string} resolution - One of RESOLUTIONS.
+ * @param {object} [choices] - For 'fields': { field: 'sheet' | 'db' }; unlisted fields keep the DB value.
+ * @returns {object} - field -> sheet value to write
+ */
+function resolveValues(conflict, resolution, choices = {}) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Unknown resolution '${resolution}'. Expected one of: ${RESOLUTIONS.join(', ')}.`);
+  }
+  const values = {};
+  conflict.fields.forEach(field => {
+    let side = resolution === 'keep_sheet' ? 'sheet' : 'db';
+    if (resolution === 'fields' && choices[field]) {
+      if (!['sheet', 'db'].includes(choices[field])) {
+        throw new Error(`Choice for '${field}' must be 'sheet' or 'db'.`);
+      }
+      side = choices[field];
+    }
+    if (side === 'sheet') values[field] = conflict.sheet_row[field];
+  });
+  return values;
+}
+
+/**
+ * Marks a conflict resolved.
+ */
+async function markResolved(id, resolution, resolvedValues) {
+  const { data, error } = await pRetry(() => supabase
+    .from(CONFLICTS_TABLE)
+    .update({
+      status: 'resolved',
+      resolution,
+      resolved_values: resolvedValues,
+      resolved_at: new Date().toISOString(),
+    })
+    .eq('id', id)
+    .select()
+    .single(), { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  recordConflict,
+  listConflicts,
+  getConflict,
+  resolveValues,
+  markResolved,
+  RESOLUTIONS,
+  CONFLICTS_TABLE
+};
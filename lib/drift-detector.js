@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const syncLogic = require("./sync-logic");
+const tableConfig = require("./table-config");
+const tombstones = require("./tombstones");
+const schemaCache = require("./schema-cache");
+const reconciler = require("./reconciler");
+const syncStatus = require("./sync-status");
+const metrics = require("./metrics");
+const logger = require("./logger");
+
+const DEFAULT_INTERVAL_MS = 300000; // 5 minutes
+const DEFAULT_CHUNK_SIZE = 500;
+
+// "spreadsheetId:table" -> result of the last check, plus the row keys that drifted in it
+const tableState = new Map();
+
+function stateKey(target) {
+  return `${target.spreadsheetId}:${target.table}`;
+}
+
+let timer = null;
+let running = null;
+
+function hashLines(lines) {
+  return crypto.createHash("md5").update(lines.join("\n")).digest("hex");
+}
+
+// Same normalization as calculateFingerprint, without its per-row debug log
+function rowLine(id, record, columns) {
+  return `${id}:${JSON.stringify(syncLogic.normalizeForFingerprint(record, columns))}`;
+}
+
+/**
+ * Reads a database record the way its sheet row would be read back, so both
+ * sides go through the same coercion (timestamps, numerics and json are then
+ * spelled alike). A record that can't be read back is hashed as it is.
+ */
+function asSheetRecord(config, record, columns, columnTypes) {
+  try {
+    return syncLogic.mapSheetsToSupabase(
+      syncLogic.mapSupabaseToSheets(record, columns),
+      columns,
+      config,
+      columnTypes,
+    );
+  } catch {
+    return record;
+  }
+}
+
+/**
+ * Hashes both sides in primary-key ordered chunks and returns the row keys of
+ * every chunk whose hashes differ, plus sheet rows that fall outside all chunks.
+ * Database pages are hashed and dropped, so only the keys stay in memory. The
+ * sheet is returned too, for the field-level diff of the suspects.
+ */
+async function findSuspectRows(config, chunkSize, deletedIds, columnTypes) {
+  const sheet = await reconciler.fetchSheet(config);
+  const columns = tableConfig.resolveColumns(sheet.headers, config);
+  const { sheetMap, seenRows } = reconciler.mapSheetRows(
+    config,
+    columns,
+    sheet.rows,
+    columnTypes,
+  );
+
+  const suspects = new Set();
+  const chunked = new Set();
+  let chunks = 0;
+  let mismatchedChunks = 0;
+
+  for (let offset = 0; ; offset += chunkSize) {
+    const page = await reconciler.fetchRecordPage(config, offset, chunkSize);
+    const keys = [];
+    const dbLines = [];
+    const sheetLines = [];
+    page.forEach((record) => {
+      const id = tableConfig.getRowKey(record, config);
+      if (!id || deletedIds.has(id)) return;
+      // An intake tab (sheet_to_db) only holds the rows entered through it
+      if (config.direction === "sheet_to_db" && !seenRows.has(id)) return;
+      keys.push(id);
+      chunked.add(id);
+      dbLines.push(
+        rowLine(
+          id,
+          asSheetRecord(config, record, columns, columnTypes),
+          columns,
+        ),
+      );
+
+      const entry = sheetMap.get(id);
+      if (entry) sheetLines.push(rowLine(id, entry.record, columns));
+      else
+        sheetLines.push(`${id}:${seenRows.has(id) ? "unreadable" : "missing"}`);
+    });
+
+    if (keys.length > 0) {
+      chunks++;
+      const duplicated = keys.some((id) => (seenRows.get(id) || []).length > 1);
+      if (duplicated || hashLines(dbLines) !== hashLines(sheetLines)) {
+        mismatchedChunks++;
+        keys.forEach((id) => suspects.add(id));
+      }
+    }
+    if (page.length < chunkSize) break;
+  }
+
+  // Sheet rows with no database row at all
+  for (const id of seenRows.keys()) {
+    if (!chunked.has(id) && !deletedIds.has(id)) suspects.add(id);
+  }
+  return { sheet, suspects, chunks, mismatchedChunks };
+}
+
+/**
+ * Checks one table in one spreadsheet and repairs rows that drifted in two
+ * consecutive checks. A row seen drifting only once may still be in flight
+ * through the webhooks.
+ * @param {object} config - The sheet target (see tableConfig.getSheetTarget).
+ */
+async function checkTable(config, { chunkSize, repair }) {
+  const startedAt = Date.now();
+  const previous = tableState.get(stateKey(config));
+  const [deletedIds, columnTypes] = await Promise.all([
+    tombstones.getTombstonedIds(config.table),
+    schemaCache.getColumnTypes(config).catch(() => null),
+  ]);
+
+  const { sheet, suspects, chunks, mismatchedChunks } = await findSuspectRows(
+    config,
+    chunkSize,
+    deletedIds,
+    columnTypes,
+  );
+
+  let diff = null;
+  let drifted = new Set();
+  const repaired = { supabase: 0, sheets: 0 };
+  if (suspects.size > 0) {
+    // Only the suspect rows are fetched again, fresh, and diffed field by field
+    // against the sheet as it was read for the hashes
+    const records = await reconciler.fetchRecordsByKeys(config, [...suspects]);
+    const columns = tableConfig.resolveColumns(sheet.headers, config);
+    diff = reconciler.diffTable(
+      config,
+      columns,
+      sheet.rows,
+      records,
+      columnTypes,
+      deletedIds,
+      suspects,
+    );
+    drifted = new Set(
+      [
+        ...diff.missingInSupabase,
+        ...diff.missingInSheet,
+        ...diff.differences,
+      ].map((d) => d.id),
+    );
+
+    if (repair && previous) {
+      const confirmed = (d) => previous.drifted.has(d.id);
+      const { toSupabase, sheetUpdates, sheetAppends } =
+        await reconciler.applyDiff(
+          config,
+          columns,
+          {
+            ...diff,
+            missingInSupabase: diff.missingInSupabase.filter(confirmed),
+            missingInSheet: diff.missingInSheet.filter(confirmed),
+            differences: diff.differences.filter(confirmed),
+          },
+          (message) => logger.info(`[drift] ${config.table}: ${message}`),
+        );
+      repaired.supabase = toSupabase.length;
+      repaired.sheets = sheetUpdates.length + sheetAppends.length;
+    }
+  }
+
+  const summary = diff
+    ? reconciler.summarize(diff)
+    : reconciler.summarize({
+        table: config.table,
+        missingInSupabase: [],
+        missingInSheet: [],
+        differences: [],
+        duplicatesInSheet: [],
+        unreadableRows: [],
+        tombstonedInSheet: [],
+      });
+  const consistent =
+    drifted.size === 0 &&
+    summary.duplicatesInSheet === 0 &&
+    summary.unreadableRows === 0;
+  metrics.recordDriftCheck(config.table, config.spreadsheetId, {
+    chunks,
+    mismatchedChunks,
+    rows: {
+      missing_in_supabase: summary.missingInSupabase,
+      missing_in_sheet: summary.missingInSheet,
+      different: summary.differences,
+      duplicate_in_sheet: summary.duplicatesInSheet,
+      unreadable: summary.unreadableRows,
+    },
+    repaired,
+  });
+
+  const result = {
+    checked_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt,
+    consistent,
+    chunks,
+    mismatched_chunks: mismatchedChunks,
+    drift: summary,
+    repaired,
+    error: null,
+  };
+  tableState.set(stateKey(config), { ...result, drifted });
+
+  if (!consistent) {
+    logger.warn(`[drift] ${config.table} has drifted`, {
+      spreadsheetId: config.spreadsheetId,
+      mismatchedChunks,
+      ...summary,
+      repaired,
+    });
+  }
+  return result;
+}
+
+async function checkAll(options) {
+  for (const config of tableConfig.listTableConfigs()) {
+    // A tenant-split table is only consistent once every spreadsheet is
+    let consistent = true;
+    for (const target of tableConfig.listSheetTargets(config)) {
+      try {
+        consistent =
+          (await checkTable(target, options)).consistent && consistent;
+      } catch (err) {
+        consistent = false;
+        logger.error(
+          `[drift] Check failed for ${config.table}: ${err.message}`,
+          {
+            spreadsheetId: target.spreadsheetId,
+          },
+        );
+        const previous = tableState.get(stateKey(target));
+        tableState.set(stateKey(target), {
+          ...(previous || { drifted: new Set() }),
+          error: err.message,
+        });
+      }
+    }
+    if (consistent) await syncStatus.recordConsistent(config.table);
+  }
+}
+
+/**
+ * Starts the periodic drift check over every configured table.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Time between checks.
+ * @param {number} [options.chunkSize] - Rows per hashed chunk.
+ * @param {boolean} [options.repair] - Repair confirmed drift (false only reports it).
+ */
+function startDriftDetector(options = {}) {
+  const settings = {
+    intervalMs: options.intervalMs || DEFAULT_INTERVAL_MS,
+    chunkSize: options.chunkSize || DEFAULT_CHUNK_SIZE,
+    repair: options.repair !== false,
+  };
+  timer = setInterval(() => {
+    // A slow check is never overlapped by the next one
+    if (running) return;
+    running = checkAll(settings).finally(() => {
+      running = null;
+    });
+  }, settings.intervalMs);
+  return timer;
+}
+
+/**
+ * Stops the timer and waits for a check in progress.
+ */
+async function stopDriftDetector() {
+  clearInterval(timer);
+  timer = null;
+  if (running) await running;
+}
+
+/**
+ * Result of the last check per table and spreadsheet (for /admin/status).
+ */
+function getDriftState() {
+  const state = {};
+  for (const [key, { drifted, ...result }] of tableState.entries()) {
+    const [spreadsheetId, ...table] = key.split(":");
+    const name = table.join(":");
+    state[name] = { ...state[name], [spreadsheetId]: result };
+  }
+  return state;
+}
+
+module.exports = {
+  checkTable,
+  startDriftDetector,
+  stopDriftDetector,
+  getDriftState,
+};
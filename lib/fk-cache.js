@@ -0,0 +1,242 @@
+const { default: pRetry } = require("p-retry");
+const supabase = require("./supabase-client");
+const store = require("./state-store");
+const logger = require("./logger");
+
+const FK_REFRESH_INTERVAL = 300000; // 5 minutes
+const FK_PAGE_SIZE = 1000;
+const MAX_DEFER_ATTEMPTS = 12; // ~1 hour of refresh cycles
+const DEFERRED_KEY = "fk_deferred";
+const LOADED_KEY = "fkcache_loaded"; // hash: cache key -> last refresh timestamp
+
+// Every referenced column seen so far: cache key -> { schema, table, column }
+const knownTargets = new Map();
+
+function cacheKey(target) {
+  return `fkcache:${target.schema}.${target.table}:${target.column}`;
+}
+
+/**
+ * Raised for foreign-key values that are missing and whose policy is "reject".
+ */
+class ForeignKeyError extends Error {
+  constructor(violations) {
+    super(
+      `Unknown foreign key values: ${violations
+        .map(
+          (v) =>
+            `'${v.column}' = "${v.value}" (not in ${v.target.table}.${v.target.column})`,
+        )
+        .join("; ")}`,
+    );
+    this.name = "ForeignKeyError";
+    this.violations = violations;
+  }
+}
+
+/**
+ * Combines FKs discovered from the schema with those declared in the table config.
+ * Registers every referenced column so the refresh loop keeps it cached.
+ * @param {object} config - The table config.
+ * @param {Map<string, object>|null} columnTypes - Column types from the schema cache.
+ * @returns {Array<{column, target, policy}>}
+ */
+function getForeignKeys(config, columnTypes) {
+  const fks = new Map();
+
+  if (columnTypes) {
+    columnTypes.forEach((type, column) => {
+      if (type.foreignKey) fks.set(column, { ...type.foreignKey });
+    });
+  }
+
+  config.foreignKeys.forEach((ref, column) => {
+    const discovered = fks.get(column);
+    if (ref.table) {
+      fks.set(column, {
+        schema: ref.schema,
+        table: ref.table,
+        column: ref.column,
+        policy: ref.policy,
+      });
+    } else if (discovered) {
+      discovered.policy = ref.policy;
+    }
+  });
+
+  return [...fks.entries()].map(([column, ref]) => {
+    const target = { schema: ref.schema, table: ref.table, column: ref.column };
+    knownTargets.set(cacheKey(target), target);
+    return { column, target, policy: ref.policy || config.fkPolicy };
+  });
+}
+
+/**
+ * Reloads the ID set of one referenced column. The new set is built under a
+ * temporary key and swapped in with RENAME so lookups never see a partial set.
+ */
+async function refreshTarget(target) {
+  const key = cacheKey(target);
+  const tmpKey = `${key}:loading`;
+  let offset = 0;
+  let hasMore = true;
+  let total = 0;
+
+  await store.del(tmpKey);
+  while (hasMore) {
+    const { data, error } = await pRetry(
+      () =>
+        supabase
+          .schema(target.schema)
+          .from(target.table)
+          .select(target.column)
+          .order(target.column, { ascending: true })
+          .range(offset, offset + FK_PAGE_SIZE - 1),
+      { retries: 3 },
+    );
+    if (error) throw error;
+
+    const ids = data
+      .map((r) => r[target.column])
+      .filter((id) => id !== null && id !== undefined)
+      .map(String);
+    if (ids.length > 0) await store.sadd(tmpKey, ids);
+    total += ids.length;
+    offset += FK_PAGE_SIZE;
+    hasMore = data.length === FK_PAGE_SIZE;
+  }
+
+  if (total > 0) await store.rename(tmpKey, key);
+  else await store.del(key);
+  await store.hset(LOADED_KEY, key, Date.now());
+  logger.info(
+    `Synced ${total} valid ${target.table}.${target.column} IDs to cache.`,
+  );
+}
+
+async function ensureLoaded(target) {
+  if (await store.hexists(LOADED_KEY, cacheKey(target))) return;
+  await refreshTarget(target);
+}
+
+/**
+ * Checks a record's FK values against the cached ID sets.
+ * Values are only reported missing when the cache CONFIRMS it; if the state store or the
+ * initial load fails the value is kept so Postgres can decide.
+ * @returns {Promise<Array<{column, value, target, policy}>>} - Missing values.
+ */
+async function findViolations(record, foreignKeys) {
+  const violations = [];
+  for (const fk of foreignKeys) {
+    const value = record[fk.column];
+    if (value === null || value === undefined) continue;
+
+    try {
+      await ensureLoaded(fk.target);
+      const values = Array.isArray(value) ? value : [value];
+      for (const v of values) {
+        if (v === null) continue;
+        if (!(await store.sismember(cacheKey(fk.target), String(v)))) {
+          violations.push({ ...fk, value: v });
+          break;
+        }
+      }
+    } catch (e) {
+      logger.warn(
+        `FK cache unavailable for ${fk.column}, preserving value: ${e.message}`,
+      );
+    }
+  }
+  return violations;
+}
+
+/**
+ * Parks a sheet payload until the missing parent rows show up in the cache.
+ */
+async function deferPayload(table, payload, violations) {
+  const entry = {
+    table,
+    payload,
+    missing: violations.map((v) => ({ target: v.target, value: v.value })),
+    attempts: 0,
+    deferredAt: new Date().toISOString(),
+  };
+  await store.lpush(DEFERRED_KEY, JSON.stringify(entry));
+}
+
+/**
+ * Re-checks every deferred payload. Ready ones are handed to `onReady`, and
+ * ones that have waited too long are handed to `onExpired`.
+ */
+async function retryDeferred(onReady, onExpired) {
+  const count = await store.llen(DEFERRED_KEY);
+  for (let i = 0; i < count; i++) {
+    const raw = await store.rpop(DEFERRED_KEY);
+    if (!raw) break;
+    const entry = JSON.parse(raw);
+
+    let ready = true;
+    for (const m of entry.missing) {
+      if (!(await store.sismember(cacheKey(m.target), String(m.value)))) {
+        ready = false;
+        break;
+      }
+    }
+
+    if (ready) {
+      await onReady(entry);
+    } else if (++entry.attempts >= MAX_DEFER_ATTEMPTS) {
+      await onExpired(entry);
+    } else {
+      await store.lpush(DEFERRED_KEY, JSON.stringify(entry));
+    }
+  }
+}
+
+/**
+ * Refreshes every known FK cache, then retries deferred rows.
+ */
+async function refreshAll(onReady, onExpired) {
+  for (const target of knownTargets.values()) {
+    await refreshTarget(target).catch((error) =>
+      logger.error(`Failed to sync ${target.table} IDs to cache`, {
+        error: error.message,
+      }),
+    );
+  }
+  await retryDeferred(onReady, onExpired).catch((error) =>
+    logger.error("Failed to retry deferred rows", { error: error.message }),
+  );
+}
+
+/**
+ * Starts the periodic refresh. `preload` lists table configs (with their column
+ * types) whose FKs should be discovered up front instead of on first use.
+ */
+function startRefreshLoop(preload, onReady, onExpired) {
+  preload.forEach(({ config, columnTypes }) =>
+    getForeignKeys(config, columnTypes),
+  );
+  refreshAll(onReady, onExpired);
+  return setInterval(() => refreshAll(onReady, onExpired), FK_REFRESH_INTERVAL);
+}
+
+/**
+ * Number of cached IDs per referenced column (for health/introspection).
+ */
+async function getCacheStats() {
+  const stats = {};
+  for (const [key, target] of knownTargets.entries()) {
+    stats[`${target.table}.${target.column}`] = await store.scard(key);
+  }
+  return stats;
+}
+
+module.exports = {
+  ForeignKeyError,
+  getForeignKeys,
+  findViolations,
+  deferPayload,
+  startRefreshLoop,
+  getCacheStats,
+};
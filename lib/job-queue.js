@@ -0,0 +1,346 @@
+const os = require('os');
+const crypto = require('crypto');
+const store = require('./state-store');
+const logger = require('./logger');
+
+// Streams and consumer groups are Redis-only; other backends use LocalJobQueue
+const redis = store.client;
+
+/**
+ * Durable job queue on a Redis stream with a consumer group. Jobs are
+ * persisted before the webhook is acknowledged, acked once processed, retried
+ * with exponential backoff through a delayed set, and handed to
+ * `onDeadLetter` after `maxAttempts`. Jobs left pending by a dead instance
+ * are reclaimed once they have been idle for `claimIdleMs`.
+ */
+class DurableJobQueue {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Queue name; keys are `jobs:${name}` and `jobs:${name}:delayed`.
+   * @param {Function} options.handler - async (payload, job) => any. Throw to retry the job.
+   * @param {Function} options.onDeadLetter - async (payload, error, attempts) once retries are exhausted.
+   * @param {number} options.maxAttempts - Attempts before a job is dead-lettered.
+   * @param {number} options.baseDelayMs - First retry delay; doubles on every attempt.
+   * @param {number} options.batchSize - Jobs read (and processed concurrently) per poll.
+   * @param {number} options.claimIdleMs - Idle time after which another consumer's pending job is reclaimed.
+   */
+  constructor({
+    name,
+    handler,
+    onDeadLetter,
+    maxAttempts = 5,
+    baseDelayMs = 2000,
+    batchSize = 50,
+    claimIdleMs = 60000,
+  }) {
+    this.streamKey = `jobs:${name}`;
+    this.delayedKey = `jobs:${name}:delayed`;
+    this.group = `${name}-workers`;
+    this.consumer = `${os.hostname()}:${process.pid}`;
+    this.handler = handler;
+    this.onDeadLetter = onDeadLetter;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.batchSize = batchSize;
+    this.claimIdleMs = claimIdleMs;
+    this.running = false;
+    this.active = 0;
+    this.reader = null;
+    this.loopDone = null;
+    this.maintenanceTimer = null;
+    this.maintaining = false;
+  }
+
+  /**
+   * Persists a job. Resolves once Redis has stored it.
+   * @returns {Promise<string>} - The stream entry ID.
+   */
+  enqueue(payload) {
+    const job = {
+      id: crypto.randomUUID(),
+      payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+    };
+    return redis.xadd(this.streamKey, '*', 'job', JSON.stringify(job));
+  }
+
+  async ensureGroup() {
+    try {
+      await redis.xgroup('CREATE', this.streamKey, this.group, '0', 'MKSTREAM');
+    } catch (err) {
+      if (!String(err.message).includes('BUSYGROUP')) throw err;
+    }
+  }
+
+  /**
+   * Starts the worker loop and the retry/reclaim timer.
+   */
+  async start() {
+    await this.ensureGroup();
+    this.running = true;
+    // XREADGROUP BLOCK holds its connection, so the worker reads on its own
+    this.reader = redis.duplicate();
+    this.loopDone = this.readLoop();
+    this.maintenanceTimer = setInterval(() => this.maintenance(), 5000);
+    // Pick up whatever a previous instance left unfinished
+    this.maintenance();
+    logger.info(`Job queue '${this.streamKey}' started`, { consumer: this.consumer });
+  }
+
+  /**
+   * Stops reading new jobs and waits for the in-flight ones to finish.
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.maintenanceTimer);
+    if (this.loopDone) await this.loopDone;
+    while (this.active > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    if (this.reader) this.reader.disconnect();
+  }
+
+  async readLoop() {
+    while (this.running) {
+      try {
+        const response = await this.reader.xreadgroup(
+          'GROUP', this.group, this.consumer,
+          'COUNT', this.batchSize,
+          'BLOCK', 5000,
+          'STREAMS', this.streamKey, '>'
+        );
+        if (response) await this.processEntries(response[0][1]);
+      } catch (err) {
+        if (!this.running) break;
+        // The group disappears if the stream key is deleted
+        if (String(err.message).includes('NOGROUP')) await this.ensureGroup().catch(() => {});
+        logger.error(`Job queue read failed: ${err.message}`);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async processEntries(entries) {
+    // Entries deleted while pending come back without fields
+    const live = entries.filter(([, fields]) => fields);
+    this.active += live.length;
+    try {
+      // Concurrent so the Sheets write coalescer can batch them
+      await Promise.allSettled(live.map(([entryId, fields]) => this.processEntry(entryId, fields)));
+    } finally {
+      this.active -= live.length;
+    }
+  }
+
+  async processEntry(entryId, fields) {
+    let job;
+    try {
+      job = JSON.parse(fields[fields.indexOf('job') + 1]);
+    } catch (err) {
+      logger.error(`Dropping unreadable job ${entryId}: ${err.message}`);
+      await this.ack(entryId);
+      return;
+    }
+
+    try {
+      await this.handler(job.payload, job);
+    } catch (err) {
+      const attempts = job.attempts + 1;
+      if (attempts >= this.maxAttempts) {
+        logger.error(`Job ${job.id} failed ${attempts} times, moving to DLQ: ${err.message}`);
+        await this.onDeadLetter(job.payload, err, attempts);
+      } else {
+        const delay = this.baseDelayMs * 2 ** (attempts - 1);
+        logger.warn(`Job ${job.id} failed (attempt ${attempts}), retrying in ${delay}ms: ${err.message}`);
+        // If this write fails the entry stays pending and is reclaimed later
+        await redis.zadd(
+          this.delayedKey,
+          Date.now() + delay,
+          JSON.stringify({ ...job, attempts, lastError: err.message })
+        );
+      }
+    }
+    await this.ack(entryId);
+  }
+
+  ack(entryId) {
+    return redis
+      .multi()
+      .xack(this.streamKey, this.group, entryId)
+      .xdel(this.streamKey, entryId)
+      .exec();
+  }
+
+  /**
+   * Moves due retries back onto the stream and reclaims jobs whose consumer died.
+   */
+  async maintenance() {
+    if (this.maintaining) return;
+    this.maintaining = true;
+    try {
+      const due = await redis.zrangebyscore(this.delayedKey, 0, Date.now(), 'LIMIT', 0, this.batchSize);
+      for (const raw of due) {
+        // ZREM decides which instance requeues the job when several run
+        if (await redis.zrem(this.delayedKey, raw)) {
+          const { lastError, ...job } = JSON.parse(raw);
+          await redis.xadd(this.streamKey, '*', 'job', JSON.stringify(job));
+        }
+      }
+
+      const [, claimed] = await redis.xautoclaim(
+        this.streamKey, this.group, this.consumer,
+        this.claimIdleMs, '0-0', 'COUNT', this.batchSize
+      );
+      if (claimed && claimed.length > 0) {
+        logger.info(`Reclaimed ${claimed.length} unfinished job(s) from '${this.streamKey}'`);
+        await this.processEntries(claimed);
+      }
+    } catch (err) {
+      logger.error(`Job queue maintenance failed: ${err.message}`);
+    } finally {
+      this.maintaining = false;
+    }
+  }
+
+  /**
+   * @returns {Promise<{ queued: number, delayed: number, active: number }>}
+   */
+  async stats() {
+    const [queued, delayed] = await Promise.all([
+      redis.xlen(this.streamKey),
+      redis.zcard(this.delayedKey),
+    ]);
+    return { queued, delayed, active: this.active };
+  }
+}
+
+/**
+ * Job queue for the Redis-free state stores, with the same interface and
+ * retry/dead-letter behaviour as DurableJobQueue. Jobs are kept in the state
+ * store hash `jobs:${name}:pending` until they are done, so with the SQLite
+ * store they survive a restart; they are run by this process only.
+ */
+class LocalJobQueue {
+  /**
+   * @param {object} options - Same as DurableJobQueue (`claimIdleMs` is unused).
+   */
+  constructor({ name, handler, onDeadLetter, maxAttempts = 5, baseDelayMs = 2000, batchSize = 50 }) {
+    this.pendingKey = `jobs:${name}:pending`;
+    this.handler = handler;
+    this.onDeadLetter = onDeadLetter;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.batchSize = batchSize;
+    this.running = false;
+    this.active = 0;
+    this.ready = []; // jobs waiting for a free slot
+    this.timers = new Map(); // job id -> retry timer
+  }
+
+  /**
+   * Persists a job in the state store.
+   * @returns {Promise<string>} - The job ID.
+   */
+  async enqueue(payload) {
+    const job = {
+      id: crypto.randomUUID(),
+      payload,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+    };
+    await store.hset(this.pendingKey, job.id, JSON.stringify(job));
+    if (this.running) this.schedule(job);
+    return job.id;
+  }
+
+  /**
+   * Starts running jobs, beginning with the ones a previous run left unfinished.
+   */
+  async start() {
+    this.running = true;
+    const pending = Object.values(await store.hgetall(this.pendingKey)).map((raw) => JSON.parse(raw));
+    pending
+      .sort((a, b) => (a.enqueuedAt < b.enqueuedAt ? -1 : 1))
+      .forEach((job) => this.schedule(job, Math.max(0, (job.retryAt || 0) - Date.now())));
+    if (pending.length > 0) logger.info(`Resuming ${pending.length} unfinished job(s) from '${this.pendingKey}'`);
+    logger.info(`Job queue '${this.pendingKey}' started (local)`);
+  }
+
+  /**
+   * Stops running new jobs and waits for the in-flight ones to finish.
+   * Queued and delayed jobs stay in the state store.
+   */
+  async stop() {
+    this.running = false;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.ready = [];
+    while (this.active > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  schedule(job, delay = 0) {
+    if (delay === 0) {
+      this.ready.push(job);
+      this.drain();
+      return;
+    }
+    this.timers.set(job.id, setTimeout(() => {
+      this.timers.delete(job.id);
+      this.schedule(job);
+    }, delay));
+  }
+
+  drain() {
+    while (this.running && this.active < this.batchSize && this.ready.length > 0) {
+      const job = this.ready.shift();
+      this.active++;
+      this.processJob(job).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async processJob(job) {
+    try {
+      await this.handler(job.payload, job);
+    } catch (err) {
+      const attempts = job.attempts + 1;
+      if (attempts >= this.maxAttempts) {
+        logger.error(`Job ${job.id} failed ${attempts} times, moving to DLQ: ${err.message}`);
+        await this.onDeadLetter(job.payload, err, attempts).catch((dlqErr) =>
+          logger.error(`Dead-lettering job ${job.id} failed: ${dlqErr.message}`)
+        );
+      } else {
+        const delay = this.baseDelayMs * 2 ** (attempts - 1);
+        logger.warn(`Job ${job.id} failed (attempt ${attempts}), retrying in ${delay}ms: ${err.message}`);
+        const retry = { ...job, attempts, retryAt: Date.now() + delay };
+        await store.hset(this.pendingKey, job.id, JSON.stringify(retry)).catch(() => {});
+        if (this.running) this.schedule(retry, delay);
+        return;
+      }
+    }
+    await store.hdel(this.pendingKey, job.id).catch(() => {});
+  }
+
+  /**
+   * @returns {Promise<{ queued: number, delayed: number, active: number }>}
+   */
+  async stats() {
+    const pending = Object.keys(await store.hgetall(this.pendingKey)).length;
+    const delayed = this.timers.size;
+    return { queued: Math.max(0, pending - delayed - this.active), delayed, active: this.active };
+  }
+}
+
+/**
+ * A DurableJobQueue on the redis state store, a LocalJobQueue on the others.
+ */
+function createJobQueue(options) {
+  return redis ? new DurableJobQueue(options) : new LocalJobQueue(options);
+}
+
+module.exports = { DurableJobQueue, LocalJobQueue, createJobQueue };
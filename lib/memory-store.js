@@ -0,0 +1,181 @@
+const SWEEP_INTERVAL_MS = 60000;
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * In-process state store. Same interface and semantics as the Redis store
+ * (TTL expiry, set-if-absent locks, hashes, sets and lists), but state lives
+ * in this process only and is lost on restart.
+ */
+class MemoryStore {
+  constructor() {
+    this.backend = 'memory';
+    this.client = null;
+    this.data = new Map(); // key -> { type, value, expiresAt }
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.data) {
+      if (entry.expiresAt && entry.expiresAt <= now) this.data.delete(key);
+    }
+  }
+
+  entry(key, type) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    if (entry && type && entry.type !== type) {
+      throw new Error(`WRONGTYPE ${key} holds a ${entry.type}, not a ${type}`);
+    }
+    return entry || null;
+  }
+
+  // Returns the entry of `type` at `key`, creating an empty one if needed
+  container(key, type, empty) {
+    const entry = this.entry(key, type);
+    if (entry) return entry.value;
+    this.data.set(key, { type, value: empty, expiresAt: null });
+    return empty;
+  }
+
+  async get(key) {
+    const entry = this.entry(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  /**
+   * @param {number} [ttlSeconds] - Expire the key after this long (default: never).
+   */
+  async set(key, value, ttlSeconds = null) {
+    this.data.set(key, {
+      type: 'string',
+      value: String(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+    });
+  }
+
+  /**
+   * Sets `key` only if it doesn't exist yet (locks, dedup keys, nonces).
+   * @returns {Promise<boolean>} - True if this call created the key.
+   */
+  async acquire(key, ttlSeconds, value = '1') {
+    if (this.entry(key)) return false;
+    await this.set(key, value, ttlSeconds);
+    return true;
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    keys.forEach(key => {
+      if (this.entry(key)) removed++;
+      this.data.delete(key);
+    });
+    return removed;
+  }
+
+  /**
+   * Applies several writes at once: ['set', key, value, ttlSeconds?], ['del', key] or ['decr', key].
+   */
+  async batch(ops) {
+    for (const [op, key, ...args] of ops) {
+      if (op === 'set') await this.set(key, ...args);
+      else if (op === 'del') await this.del(key);
+      else if (op === 'decr') {
+        const entry = this.entry(key, 'string');
+        if (entry) entry.value = String(Number(entry.value) - 1);
+        else await this.set(key, -1);
+      } else throw new Error(`Unknown batch operation '${op}'`);
+    }
+  }
+
+  async hset(key, field, value) {
+    this.container(key, 'hash', new Map()).set(String(field), String(value));
+  }
+
+  async hgetall(key) {
+    const entry = this.entry(key, 'hash');
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  async hexists(key, field) {
+    const entry = this.entry(key, 'hash');
+    return !!entry && entry.value.has(String(field));
+  }
+
+  async hdel(key, field) {
+    const entry = this.entry(key, 'hash');
+    if (!entry) return;
+    entry.value.delete(String(field));
+    if (entry.value.size === 0) this.data.delete(key);
+  }
+
+  async sadd(key, members) {
+    const set = this.container(key, 'set', new Set());
+    members.forEach(member => set.add(String(member)));
+  }
+
+  async sismember(key, member) {
+    const entry = this.entry(key, 'set');
+    return !!entry && entry.value.has(String(member));
+  }
+
+  async scard(key) {
+    const entry = this.entry(key, 'set');
+    return entry ? entry.value.size : 0;
+  }
+
+  async rename(from, to) {
+    const entry = this.entry(from);
+    if (!entry) throw new Error('ERR no such key');
+    this.data.delete(from);
+    this.data.set(to, entry);
+  }
+
+  async lpush(key, value) {
+    this.container(key, 'list', []).unshift(String(value));
+  }
+
+  async rpop(key) {
+    const entry = this.entry(key, 'list');
+    if (!entry) return null;
+    const value = entry.value.pop();
+    if (entry.value.length === 0) this.data.delete(key);
+    return value === undefined ? null : value;
+  }
+
+  async llen(key) {
+    const entry = this.entry(key, 'list');
+    return entry ? entry.value.length : 0;
+  }
+
+  /**
+   * Iterates over the keys matching a glob pattern (only `*` is special), in batches.
+   */
+  async *scan(pattern, count = 500) {
+    const regex = globToRegExp(pattern);
+    const keys = [...this.data.keys()].filter(key => regex.test(key) && this.entry(key));
+    for (let i = 0; i < keys.length; i += count) yield keys.slice(i, i + count);
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,165 @@
+const client = require("prom-client");
+const { getTableForSheet } = require("./table-config");
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: "mirror_" });
+
+// Outcomes of a sync event. "failed" means it reached sync_errors.
+const OUTCOMES = [
+  "received",
+  "deduplicated",
+  "busy",
+  "loop_skipped",
+  "loop_breaker_dropped",
+  "conflict_dropped",
+  "tombstoned",
+  "filtered",
+  "reverted",
+  "direction_skipped",
+  "deferred",
+  "applied",
+  "failed",
+];
+
+const events = new client.Counter({
+  name: "mirror_events_total",
+  help: "Sync events by source, table and outcome",
+  labelNames: ["source", "table", "outcome"],
+  registers: [register],
+});
+
+const syncLatency = new client.Histogram({
+  name: "mirror_sync_latency_seconds",
+  help: "Time from an event being received (or edited, for Sheets) to it being applied on the other side",
+  labelNames: ["source", "table"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60, 120, 300, 900],
+  registers: [register],
+});
+
+const apiCallDuration = new client.Histogram({
+  name: "mirror_api_call_duration_seconds",
+  help: "Duration of Google Sheets and Supabase calls (each attempt, including failures)",
+  labelNames: ["api", "operation", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register],
+});
+
+const driftChunks = new client.Gauge({
+  name: "mirror_drift_chunks",
+  help: "Chunks compared by the last drift check, by state (total or mismatched)",
+  labelNames: ["table", "spreadsheet", "state"],
+  registers: [register],
+});
+
+const driftRows = new client.Gauge({
+  name: "mirror_drift_rows",
+  help: "Drifted rows found by the last drift check, by kind",
+  labelNames: ["table", "spreadsheet", "kind"],
+  registers: [register],
+});
+
+const driftRepaired = new client.Counter({
+  name: "mirror_drift_repaired_total",
+  help: "Rows repaired by the drift detector, by the side that was written",
+  labelNames: ["table", "spreadsheet", "target"],
+  registers: [register],
+});
+
+/**
+ * Counts one sync event outcome.
+ * @param {string} source - 'supabase', 'sheets' or 'sheets-delete'.
+ * @param {string} table - Mirrored table (or 'unknown' before it is resolved).
+ * @param {string} outcome - One of OUTCOMES.
+ */
+function recordEvent(source, table, outcome, count = 1) {
+  events.inc({ source, table: table || "unknown", outcome }, count);
+}
+
+/**
+ * Resolves the table label of a webhook payload. Sheets payloads carry the
+ * tab name, which is mapped back to its table.
+ */
+function tableLabel(source, body) {
+  const name = body && body.table;
+  if (!name) return "unknown";
+  if (source === "supabase") return name;
+  try {
+    return getTableForSheet(name).table;
+  } catch (err) {
+    return "unknown";
+  }
+}
+
+/**
+ * Observes end-to-end latency for an applied event.
+ * @param {number|string|Date} startedAt - When the change entered the pipeline.
+ */
+function observeSyncLatency(source, table, startedAt) {
+  const started = new Date(startedAt).getTime();
+  if (isNaN(started)) return;
+  syncLatency.observe(
+    { source, table },
+    Math.max(0, (Date.now() - started) / 1000),
+  );
+}
+
+/**
+ * Times one external API call, e.g. timeCall("sheets", "values.get", () => ...).
+ * Supabase calls resolve with `{ error }` instead of throwing, so that counts as an error too.
+ */
+async function timeCall(api, operation, fn) {
+  const end = apiCallDuration.startTimer({ api, operation });
+  try {
+    const result = await fn();
+    end({ status: result && result.error ? "error" : "ok" });
+    return result;
+  } catch (err) {
+    end({ status: "error" });
+    throw err;
+  }
+}
+
+/**
+ * Records the result of one drift check (see lib/drift-detector.js).
+ * @param {object} result - { chunks, mismatchedChunks, rows: { kind: count }, repaired: { supabase, sheets } }
+ */
+function recordDriftCheck(table, spreadsheet, result) {
+  driftChunks.set({ table, spreadsheet, state: "total" }, result.chunks);
+  driftChunks.set(
+    { table, spreadsheet, state: "mismatched" },
+    result.mismatchedChunks,
+  );
+  Object.entries(result.rows).forEach(([kind, count]) =>
+    driftRows.set({ table, spreadsheet, kind }, count),
+  );
+  Object.entries(result.repaired).forEach(([target, count]) => {
+    if (count > 0) driftRepaired.inc({ table, spreadsheet, target }, count);
+  });
+}
+
+/**
+ * Registers a gauge whose value is read at scrape time.
+ * @param {Function} collect - async (gauge) => void; sets the gauge's values.
+ */
+function registerGauge(name, help, labelNames, collect) {
+  return new client.Gauge({
+    name,
+    help,
+    labelNames,
+    registers: [register],
+    async collect() {
+      await collect(this);
+    },
+  });
+}
+
+module.exports = {
+  OUTCOMES,
+  register,
+  recordEvent,
+  tableLabel,
+  observeSyncLatency,
+  timeCall,
+  recordDriftCheck,
+  registerGauge,
+};
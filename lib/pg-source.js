@@ -0,0 +1,281 @@
+const { Client } = require('pg');
+const tableConfig = require('./table-config');
+const logger = require('./logger');
+
+const DEFAULT_CHANNEL = 'mirror_changes';
+const OUTBOX_TABLE = 'mirror_outbox';
+// Outbox rows taken per query while draining
+const DRAIN_BATCH_SIZE = 500;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function qualified(schema, name) {
+  return `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+/**
+ * SQL for the outbox table and the trigger function, created in `schema`.
+ * The function writes the change to the outbox in the Supabase webhook shape
+ * ({ type, table, schema, record, old_record }) and sends its outbox ID on the
+ * channel given as its trigger argument. The notification is only a wake-up:
+ * changes made while nobody listens stay in the outbox until the next drain.
+ */
+function functionSql(schema) {
+  return `
+CREATE TABLE IF NOT EXISTS ${qualified(schema, OUTBOX_TABLE)} (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  payload jsonb NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE OR REPLACE FUNCTION ${qualified(schema, 'mirror_notify')}() RETURNS trigger
+LANGUAGE plpgsql AS $$
+DECLARE
+  body jsonb;
+  outbox_id bigint;
+BEGIN
+  body := jsonb_build_object(
+    'type', TG_OP,
+    'table', TG_TABLE_NAME,
+    'schema', TG_TABLE_SCHEMA,
+    'record', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    'old_record', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END,
+    'commit_timestamp', now()
+  );
+  INSERT INTO ${qualified(schema, OUTBOX_TABLE)} (payload) VALUES (body) RETURNING id INTO outbox_id;
+  PERFORM pg_notify(TG_ARGV[0], json_build_object('outbox_id', outbox_id)::text);
+  RETURN NULL;
+END $$;`;
+}
+
+/**
+ * Installs the trigger function, the outbox table and one trigger per table.
+ * Safe to run again; existing triggers are replaced.
+ * @param {Client} client - A connected pg client.
+ * @param {Array<object>} configs - Table configs.
+ */
+async function installTriggers(client, configs, channel = DEFAULT_CHANNEL) {
+  const schemas = [...new Set(configs.map(c => c.schema))];
+  await client.query('BEGIN');
+  try {
+    for (const schema of schemas) await client.query(functionSql(schema));
+    for (const config of configs) {
+      const target = qualified(config.schema, config.table);
+      await client.query(`DROP TRIGGER IF EXISTS mirror_notify ON ${target}`);
+      await client.query(
+        `CREATE TRIGGER mirror_notify AFTER INSERT OR UPDATE OR DELETE ON ${target}
+         FOR EACH ROW EXECUTE FUNCTION ${qualified(config.schema, 'mirror_notify')}('${channel.replace(/'/g, "''")}')`
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Removes the triggers. The function and outbox are left for other tables.
+ */
+async function uninstallTriggers(client, configs) {
+  for (const config of configs) {
+    await client.query(`DROP TRIGGER IF EXISTS mirror_notify ON ${qualified(config.schema, config.table)}`);
+  }
+}
+
+/**
+ * Listens for trigger notifications over a dedicated pg connection and hands
+ * each change to `onChange` in the Supabase webhook payload shape, so plain
+ * Postgres feeds the same pipeline as Supabase. Every notification, and every
+ * (re)connect, drains the outbox in ID order, so changes made while the
+ * connection was down are delivered too. The connection is re-established
+ * with backoff.
+ */
+class PgNotifySource {
+  /**
+   * @param {object} options
+   * @param {string} options.connectionString - Postgres connection string.
+   * @param {Function} options.onChange - async (body) => any. Called in notification order per table.
+   * @param {Array<object>} options.tables - Table configs whose changes are accepted (empty: any table with the trigger).
+   * @param {string} [options.channel] - NOTIFY channel the triggers use.
+   */
+  constructor({ connectionString, onChange, tables, channel = DEFAULT_CHANNEL }) {
+    this.connectionString = connectionString;
+    this.onChange = onChange;
+    this.tables = tables.length > 0 ? new Map(tables.map(c => [`${c.schema}.${c.table}`, c])) : null;
+    this.schemas = tables.length > 0 ? [...new Set(tables.map(c => c.schema))] : ['public'];
+    this.channel = channel;
+    this.client = null;
+    this.running = false;
+    this.reconnectTimer = null;
+    this.attempts = 0;
+    this.incoming = Promise.resolve();
+    this.drainQueued = false;
+    this.chains = new Map(); // table -> promise of the last queued change
+    this.state = { connected: false, since: null, lastEventAt: null, events: 0, reconnects: 0 };
+  }
+
+  async start() {
+    this.running = true;
+    await this.connect();
+  }
+
+  async connect() {
+    const client = new Client({ connectionString: this.connectionString });
+    client.on('notification', msg => {
+      if (msg.channel !== this.channel) return;
+      this.handleNotification(client, msg.payload);
+    });
+    client.on('error', err => {
+      logger.warn(`Postgres source connection error: ${err.message}`);
+      this.disconnected(client);
+    });
+    client.on('end', () => this.disconnected(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${quoteIdent(this.channel)}`);
+    } catch (err) {
+      logger.warn(`Postgres source could not connect: ${err.message}`);
+      client.end().catch(() => {});
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.client = client;
+    this.attempts = 0;
+    this.state = { ...this.state, connected: true, since: new Date().toISOString() };
+    logger.info(`Postgres source listening on channel '${this.channel}'`);
+    await this.queueDrain(client);
+  }
+
+  disconnected(client) {
+    if (this.client !== client) return;
+    this.client = null;
+    this.state = { ...this.state, connected: false, since: new Date().toISOString() };
+    client.end().catch(() => {});
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+    this.attempts++;
+    this.state.reconnects++;
+    const delay = Math.min(1000 * 2 ** (this.attempts - 1), MAX_RECONNECT_DELAY_MS);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, delay);
+  }
+
+  /**
+   * Queues a drain after the one in progress, if none is waiting yet. Drains
+   * run one at a time, so changes are dispatched in outbox order.
+   */
+  queueDrain(client) {
+    if (!this.drainQueued) {
+      this.drainQueued = true;
+      this.incoming = this.incoming
+        .then(() => {
+          this.drainQueued = false;
+          return this.drainOutbox(client);
+        })
+        .catch(err => logger.error(`Postgres source outbox drain failed: ${err.message}`));
+    }
+    return this.incoming;
+  }
+
+  async drainOutbox(client) {
+    for (const schema of this.schemas) {
+      const outbox = qualified(schema, OUTBOX_TABLE);
+      for (;;) {
+        // SKIP LOCKED lets several listeners drain the same outbox
+        const { rows } = await client.query(
+          `DELETE FROM ${outbox} WHERE id IN (
+             SELECT id FROM ${outbox} ORDER BY id LIMIT ${DRAIN_BATCH_SIZE} FOR UPDATE SKIP LOCKED
+           ) RETURNING id, payload`
+        ).catch(err => {
+          // 42P01: the outbox doesn't exist until the triggers are installed
+          if (err.code === '42P01') return { rows: [] };
+          throw err;
+        });
+        rows.sort((a, b) => Number(a.id) - Number(b.id)).forEach(row => this.dispatch(row.payload));
+        if (rows.length < DRAIN_BATCH_SIZE) break;
+      }
+    }
+  }
+
+  handleNotification(client, raw) {
+    let body;
+    try {
+      body = JSON.parse(raw);
+      if (!body || typeof body !== 'object') throw new Error('not a JSON object');
+    } catch (err) {
+      logger.error(`Postgres source dropped an unreadable notification: ${err.message}`);
+      return;
+    }
+    // Triggers installed by older versions send small changes inline
+    if (!body.outbox_id) {
+      this.incoming = this.incoming
+        .then(() => this.dispatch(body))
+        .catch(err => logger.error(`Postgres source dispatch failed: ${err.message}`));
+      return;
+    }
+    this.queueDrain(client);
+  }
+
+  dispatch(body) {
+    let config;
+    try {
+      config = this.tables
+        ? this.tables.get(`${body.schema}.${body.table}`)
+        : tableConfig.getTableConfig(body.table);
+    } catch (err) {
+      logger.warn(`Postgres source skipped a change to ${body.schema}.${body.table}: ${err.message}`);
+      return;
+    }
+    if (!config) return;
+    const { commit_timestamp: committedAt, ...event } = body;
+    event.table = config.table;
+
+    const next = (this.chains.get(config.table) || Promise.resolve())
+      .then(async () => {
+        await this.onChange(event);
+        this.state.events++;
+        this.state.lastEventAt = committedAt || new Date().toISOString();
+      })
+      .catch(err => {
+        logger.error(`Postgres source handling failed for ${config.table}: ${err.message}`);
+      });
+    this.chains.set(config.table, next);
+  }
+
+  /**
+   * Connection status (for /admin/status).
+   */
+  status() {
+    return { channel: this.channel, ...this.state };
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    const client = this.client;
+    this.client = null;
+    if (client) await client.end().catch(() => {});
+    await this.incoming;
+    await Promise.all(this.chains.values());
+  }
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  PgNotifySource,
+  installTriggers,
+  uninstallTriggers,
+  functionSql,
+};
@@ -0,0 +1,195 @@
+const { default: pRetry } = require('p-retry');
+const supabase = require('./supabase-client');
+const store = require('./state-store');
+const tableConfig = require('./table-config');
+const schemaCache = require('./schema-cache');
+const logger = require('./logger');
+
+// Columns a catch-up query can use to find rows changed while disconnected
+const CURSOR_COLUMNS = ['updated_at', 'synced_at'];
+// Re-read a little before the cursor to cover clock skew and in-flight commits
+const CATCH_UP_OVERLAP_MS = 30000;
+const CATCH_UP_PAGE_SIZE = 1000;
+const MAX_RESUBSCRIBE_DELAY_MS = 60000;
+
+/**
+ * Turns a Realtime `postgres_changes` payload into the Database Webhook
+ * payload shape, so both feed the same pipeline.
+ */
+function toWebhookPayload(config, payload) {
+  const old = payload.old && Object.keys(payload.old).length > 0 ? payload.old : null;
+  return {
+    type: payload.eventType,
+    table: config.table,
+    schema: payload.schema || config.schema,
+    record: payload.eventType === 'DELETE' ? null : payload.new,
+    old_record: old,
+  };
+}
+
+/**
+ * Subscribes to `postgres_changes` for every configured table over the
+ * Supabase Realtime client and hands each change to `onChange` in the webhook
+ * payload shape. The commit time of the last change is kept per table in
+ * `realtime:cursor:${table}`; after a (re)subscribe, rows whose updated_at or
+ * synced_at moved past it are replayed as UPDATE events.
+ */
+class RealtimeSource {
+  /**
+   * @param {object} options
+   * @param {Function} options.onChange - async (body) => any. Called in commit order per table.
+   * @param {Array<object>} [options.tables] - Table configs to subscribe to (default: all configured).
+   */
+  constructor({ onChange, tables = tableConfig.listTableConfigs() }) {
+    this.onChange = onChange;
+    this.tables = tables;
+    this.channels = new Map(); // table -> channel
+    this.chains = new Map(); // table -> promise of the last queued change
+    this.retries = new Map(); // table -> consecutive failed subscribes
+    this.timers = new Map(); // table -> resubscribe timer
+    this.state = new Map(); // table -> { status, since, lastEventAt, lastCatchUp }
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+    this.tables.forEach(config => this.subscribe(config));
+  }
+
+  subscribe(config) {
+    const { table } = config;
+    const channel = supabase
+      .channel(`mirror:${config.schema}.${table}`)
+      .on('postgres_changes', { event: '*', schema: config.schema, table }, payload => {
+        this.enqueueChange(config, payload);
+      })
+      .subscribe((status, err) => {
+        // Ignore callbacks from a channel that has been replaced
+        if (this.channels.get(table) !== channel) return;
+        this.setState(table, { status });
+
+        if (status === 'SUBSCRIBED') {
+          logger.info(`Realtime subscribed to ${config.schema}.${table}`);
+          this.retries.set(table, 0);
+          this.queue(table, () => this.catchUp(config));
+        } else if (['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) {
+          logger.warn(`Realtime channel for ${table} ${status}`, { error: err && err.message });
+          this.scheduleResubscribe(config);
+        }
+      });
+    this.channels.set(table, channel);
+  }
+
+  scheduleResubscribe(config) {
+    const { table } = config;
+    if (!this.running || this.timers.has(table)) return;
+
+    const attempt = (this.retries.get(table) || 0) + 1;
+    this.retries.set(table, attempt);
+    const delay = Math.min(1000 * 2 ** (attempt - 1), MAX_RESUBSCRIBE_DELAY_MS);
+
+    this.timers.set(table, setTimeout(async () => {
+      this.timers.delete(table);
+      const old = this.channels.get(table);
+      this.channels.delete(table);
+      if (old) await supabase.removeChannel(old).catch(() => {});
+      if (this.running) this.subscribe(config);
+    }, delay));
+  }
+
+  // Changes for a table are handled one at a time, in the order they arrived
+  queue(table, task) {
+    const next = (this.chains.get(table) || Promise.resolve()).then(task).catch(err => {
+      logger.error(`Realtime handling failed for ${table}: ${err.message}`);
+    });
+    this.chains.set(table, next);
+    return next;
+  }
+
+  enqueueChange(config, payload) {
+    return this.queue(config.table, async () => {
+      await this.onChange(toWebhookPayload(config, payload));
+      this.setState(config.table, { lastEventAt: payload.commit_timestamp || new Date().toISOString() });
+      if (payload.commit_timestamp) {
+        await store.set(`realtime:cursor:${config.table}`, payload.commit_timestamp).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Replays rows changed since the stored cursor. The first run for a table
+   * only sets the cursor; use the backfill for existing data.
+   */
+  async catchUp(config) {
+    const { table } = config;
+    const cursorKey = `realtime:cursor:${table}`;
+    const startedAt = new Date().toISOString();
+    const cursor = await store.get(cursorKey).catch(() => null);
+    if (!cursor) {
+      await store.set(cursorKey, startedAt).catch(() => {});
+      return;
+    }
+
+    const columnTypes = await schemaCache.getColumnTypes(config).catch(() => null);
+    const columns = CURSOR_COLUMNS.filter(c => !columnTypes || columnTypes.has(c));
+    if (columns.length === 0) {
+      logger.warn(`Realtime catch-up skipped for ${table}: no ${CURSOR_COLUMNS.join(' or ')} column`);
+      return;
+    }
+
+    const since = new Date(new Date(cursor).getTime() - CATCH_UP_OVERLAP_MS).toISOString();
+    const filter = columns.map(c => `${c}.gt.${since}`).join(',');
+    let replayed = 0;
+    for (let offset = 0; ; offset += CATCH_UP_PAGE_SIZE) {
+      const { data, error } = await pRetry(() => {
+        let query = tableConfig
+          .fromTable(supabase, config)
+          .select('*')
+          .or(filter)
+          .range(offset, offset + CATCH_UP_PAGE_SIZE - 1);
+        config.primaryKeys.forEach(key => {
+          query = query.order(key, { ascending: true });
+        });
+        return query;
+      }, { retries: 3 });
+      if (error) throw error;
+
+      for (const record of data) {
+        await this.onChange({ type: 'UPDATE', table, schema: config.schema, record, old_record: null });
+        replayed++;
+      }
+      if (data.length < CATCH_UP_PAGE_SIZE) break;
+    }
+
+    // Live events may have moved the cursor on meanwhile; never move it back
+    const current = await store.get(cursorKey).catch(() => null);
+    if (!current || new Date(current) < new Date(startedAt)) await store.set(cursorKey, startedAt).catch(() => {});
+    this.setState(table, { lastCatchUp: { at: startedAt, since, replayed } });
+    if (replayed > 0) logger.info(`Realtime catch-up replayed ${replayed} ${table} rows changed since ${since}`);
+  }
+
+  setState(table, patch) {
+    const current = this.state.get(table) || { status: null, since: null, lastEventAt: null, lastCatchUp: null };
+    if (patch.status && patch.status !== current.status) patch.since = new Date().toISOString();
+    this.state.set(table, { ...current, ...patch });
+  }
+
+  /**
+   * Subscription status per table (for /admin/status).
+   */
+  status() {
+    return Object.fromEntries(this.state.entries());
+  }
+
+  async stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    const channels = [...this.channels.values()];
+    this.channels.clear();
+    await Promise.all(channels.map(channel => supabase.removeChannel(channel).catch(() => {})));
+    await Promise.all(this.chains.values());
+  }
+}
+
+module.exports = { RealtimeSource, toWebhookPayload };
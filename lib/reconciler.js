@@ -0,0 +1,360 @@
+const supabase = require('./supabase-client');
+const { sheets } = require('./sheets-client');
+const syncLogic = require('./sync-logic');
+const tableConfig = require('./table-config');
+const { default: pRetry } = require('p-retry');
+
+// Shared by scripts/reconcile.js and the drift detector. `config` is always a
+// sheet target (tableConfig.getSheetTarget): its spreadsheet is read and written,
+// and only the rows mirrored into it (its tenants, its rowFilter) are compared.
+
+const DB_PAGE_SIZE = 1000;
+const SHEET_PAGE_ROWS = 5000;
+const WRITE_BATCH_SIZE = 500;
+const KEY_LOOKUP_BATCH = 100;
+// synced_at values closer than this are treated as the same sync
+const SYNCED_AT_TOLERANCE_MS = 5000;
+
+/**
+ * Fetches one page of the table (the target's tenants and rowFilter only), ordered by primary key.
+ */
+async function fetchRecordPage(config, offset, limit = DB_PAGE_SIZE) {
+  const { data, error } = await pRetry(() => {
+    let query = tableConfig
+      .scopeQuery(tableConfig.fromTable(supabase, config).select('*'), config)
+      .range(offset, offset + limit - 1);
+    config.primaryKeys.forEach(key => {
+      query = query.order(key, { ascending: true });
+    });
+    return query;
+  }, { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Pages through every row of the table, ordered by primary key.
+ */
+async function fetchAllRecords(config) {
+  const records = [];
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const data = await fetchRecordPage(config, offset);
+    records.push(...data);
+    offset += DB_PAGE_SIZE;
+    hasMore = data.length === DB_PAGE_SIZE;
+  }
+  return records;
+}
+
+/**
+ * Fetches the current rows for a list of row keys. Rows that no longer exist
+ * (or aren't mirrored into the target's sheet) are left out.
+ */
+async function fetchRecordsByKeys(config, rowKeys) {
+  const records = [];
+  if (config.primaryKeys.length === 1) {
+    const [key] = config.primaryKeys;
+    for (let i = 0; i < rowKeys.length; i += KEY_LOOKUP_BATCH) {
+      const ids = rowKeys.slice(i, i + KEY_LOOKUP_BATCH);
+      const { data, error } = await pRetry(() => tableConfig
+        .scopeQuery(tableConfig.fromTable(supabase, config).select('*'), config)
+        .in(key, ids), { retries: 3 });
+      if (error) throw error;
+      records.push(...data);
+    }
+    return records;
+  }
+
+  // Composite keys can't be expressed as one IN filter
+  for (const rowKey of rowKeys) {
+    const { data, error } = await pRetry(() => tableConfig
+      .scopeQuery(tableConfig.fromTable(supabase, config).select('*'), config)
+      .match(tableConfig.getKeyFilter(rowKey, config))
+      .maybeSingle(), { retries: 3 });
+    if (error) throw error;
+    if (data) records.push(data);
+  }
+  return records;
+}
+
+/**
+ * Number of rows in the tab's grid, blank ones included.
+ */
+async function fetchRowCount(config) {
+  const response = await pRetry(() => sheets.spreadsheets.get({
+    spreadsheetId: config.spreadsheetId,
+    ranges: [tableConfig.a1Range(config.sheet, 'A1')],
+    fields: 'sheets.properties.gridProperties.rowCount',
+  }), { retries: 3 });
+  return response.data.sheets[0].properties.gridProperties.rowCount;
+}
+
+/**
+ * Reads the header row, then every data row in pages of SHEET_PAGE_ROWS.
+ * Blank rows are kept (as []), so rows[i] is always sheet row i + 2.
+ * @returns {Promise<{ headers: Array<string>, rows: Array<Array<string>> }>}
+ */
+async function fetchSheet(config) {
+  const [headerResponse, rowCount] = await Promise.all([
+    pRetry(() => sheets.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: tableConfig.a1Range(config.sheet, '1:1'),
+    }), { retries: 3 }),
+    fetchRowCount(config),
+  ]);
+  const headers = headerResponse.data.values ? headerResponse.data.values[0] : [];
+  if (headers.length === 0) throw new Error(`Tab '${config.sheet}' has no headers`);
+
+  const lastLetter = tableConfig.columnLetter(headers.length - 1);
+  const rows = [];
+  // Page through the whole grid: cleared rows may leave a page short or empty
+  for (let start = 2; start <= rowCount; start += SHEET_PAGE_ROWS) {
+    const end = Math.min(start + SHEET_PAGE_ROWS - 1, rowCount);
+    const response = await pRetry(() => sheets.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: tableConfig.a1Range(config.sheet, `A${start}:${lastLetter}${end}`),
+    }), { retries: 3 });
+    const page = response.data.values || [];
+    rows.push(...page);
+    // The API drops trailing blank rows; pad them back before the next page
+    if (end < rowCount) {
+      for (let i = page.length; i < SHEET_PAGE_ROWS; i++) rows.push([]);
+    }
+  }
+  // Like the API, leave out trailing blank rows
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+  return { headers, rows };
+}
+
+/**
+ * Maps every sheet row exactly once; the first occurrence of a key wins.
+ * @returns {{ sheetMap: Map<string, {rowNumber, record}>, seenRows: Map<string, Array<number>>, unreadableRows: Array<object> }}
+ */
+function mapSheetRows(config, columns, sheetRows, columnTypes) {
+  const keyIndexes = tableConfig.getKeyIndexes(columns, config);
+  if (!keyIndexes) {
+    throw new Error(`Tab '${config.sheet}' is missing key column(s): ${config.primaryKeys.join(', ')}`);
+  }
+
+  const sheetMap = new Map();
+  const seenRows = new Map(); // key -> [row numbers]
+  const unreadableRows = [];
+  sheetRows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    if (keyIndexes.some(k => row[k] === undefined || String(row[k]).trim() === '')) return;
+    const key = tableConfig.encodeRowKey(keyIndexes.map(k => row[k]));
+
+    seenRows.set(key, [...(seenRows.get(key) || []), rowNumber]);
+    if (sheetMap.has(key)) return;
+    try {
+      sheetMap.set(key, {
+        rowNumber,
+        record: syncLogic.mapSheetsToSupabase(row, columns, config, columnTypes),
+      });
+    } catch (err) {
+      unreadableRows.push({ id: key, row: rowNumber, error: err.message });
+    }
+  });
+  return { sheetMap, seenRows, unreadableRows };
+}
+
+/**
+ * The database is the source of truth unless the sheet copy is clearly newer.
+ * A one-way table's source side always wins.
+ */
+function pickWinner(config, sheetRecord, dbRecord) {
+  if (config.direction === 'db_to_sheet') return 'supabase';
+  if (config.direction === 'sheet_to_db') return 'sheet';
+  const dbTime = new Date(dbRecord.synced_at).getTime() || 0;
+  const sheetTime = new Date(sheetRecord.synced_at).getTime() || 0;
+  return sheetTime - dbTime > SYNCED_AT_TOLERANCE_MS ? 'sheet' : 'supabase';
+}
+
+/**
+ * Builds the diff between the sheet and the database.
+ * @param {Set<string>} [onlyIds] - Limit the diff to these row keys.
+ */
+function diffTable(config, columns, sheetRows, records, columnTypes, deletedIds, onlyIds = null) {
+  const { sheetMap, seenRows, unreadableRows } = mapSheetRows(config, columns, sheetRows, columnTypes);
+  const included = id => !onlyIds || onlyIds.has(id);
+
+  const diff = {
+    table: config.table,
+    missingInSupabase: [],
+    missingInSheet: [],
+    differences: [],
+    duplicatesInSheet: [],
+    unreadableRows: unreadableRows.filter(d => included(d.id)),
+    tombstonedInSheet: [],
+  };
+  seenRows.forEach((rowNumbers, id) => {
+    if (rowNumbers.length > 1 && included(id)) diff.duplicatesInSheet.push({ id, rows: rowNumbers });
+  });
+
+  const dbMap = new Map(records.map(r => [tableConfig.getRowKey(r, config), r]));
+  const compared = columns.filter(c => c && !syncLogic.MERGE_EXCLUDED_FIELDS.includes(c));
+
+  for (const [id, { rowNumber, record: sheetRecord }] of sheetMap) {
+    if (!included(id)) continue;
+    const dbRecord = dbMap.get(id);
+    // Deleted on either side: never re-add it from a stale copy
+    if (deletedIds.has(id)) {
+      diff.tombstonedInSheet.push({ id, row: rowNumber });
+      continue;
+    }
+    // A tenant's sheet never writes rows of another tenant
+    if (!tableConfig.ownsRecord(config, sheetRecord)) {
+      diff.unreadableRows.push({ id, row: rowNumber, error: `${config.tenantColumn} is routed to another spreadsheet` });
+      continue;
+    }
+    if (!dbRecord) {
+      diff.missingInSupabase.push({ id, row: rowNumber, record: sheetRecord });
+      continue;
+    }
+
+    const fields = compared
+      .filter(c => !syncLogic.valuesEqual(sheetRecord[c], dbRecord[c]))
+      .map(c => ({ field: c, sheet: sheetRecord[c], supabase: dbRecord[c] }));
+    if (fields.length === 0) continue;
+
+    diff.differences.push({
+      id,
+      row: rowNumber,
+      fields,
+      winner: pickWinner(config, sheetRecord, dbRecord),
+      sheetRecord,
+      dbRecord,
+    });
+  }
+
+  // An intake tab (sheet_to_db) only holds the rows entered through it
+  if (config.direction === 'sheet_to_db') return diff;
+
+  for (const [id, record] of dbMap) {
+    if (included(id) && !sheetMap.has(id) && !seenRows.has(id) && !deletedIds.has(id)) {
+      diff.missingInSheet.push({ id, record });
+    }
+  }
+  return diff;
+}
+
+function summarize(diff) {
+  return {
+    table: diff.table,
+    missingInSupabase: diff.missingInSupabase.length,
+    missingInSheet: diff.missingInSheet.length,
+    differences: diff.differences.length,
+    duplicatesInSheet: diff.duplicatesInSheet.length,
+    unreadableRows: diff.unreadableRows.length,
+    tombstonedInSheet: diff.tombstonedInSheet.length,
+  };
+}
+
+async function upsertRecords(config, records) {
+  for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+    const batch = records.slice(i, i + WRITE_BATCH_SIZE).map(record => {
+      const clean = { ...record };
+      ['created_at', 'updated_at'].forEach(field => delete clean[field]);
+      clean.source = 'sheets';
+      return clean;
+    });
+    const { error } = await pRetry(() => tableConfig
+      .fromTable(supabase, config)
+      .upsert(batch, { onConflict: config.conflictTarget }), { retries: 3 });
+    if (error) throw error;
+  }
+}
+
+async function updateSheetRows(config, columns, updates) {
+  const lastLetter = tableConfig.columnLetter(columns.length - 1);
+  for (let i = 0; i < updates.length; i += WRITE_BATCH_SIZE) {
+    const data = updates.slice(i, i + WRITE_BATCH_SIZE).map(({ row, record }) => ({
+      range: tableConfig.a1Range(config.sheet, `A${row}:${lastLetter}${row}`),
+      // Ignored columns map to null, which leaves those cells untouched
+      values: [syncLogic.mapSupabaseToSheets(record, columns)],
+    }));
+    await pRetry(() => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: config.spreadsheetId,
+      resource: { valueInputOption: 'USER_ENTERED', data },
+    }), { retries: 3 });
+  }
+}
+
+async function appendSheetRows(config, columns, records) {
+  for (let i = 0; i < records.length; i += WRITE_BATCH_SIZE) {
+    const values = records
+      .slice(i, i + WRITE_BATCH_SIZE)
+      .map(record => syncLogic.mapSupabaseToSheets(record, columns).map(v => (v === null ? '' : v)));
+    await pRetry(() => sheets.spreadsheets.values.append({
+      spreadsheetId: config.spreadsheetId,
+      range: tableConfig.a1Range(config.sheet, '1:1'),
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values },
+    }), { retries: 3 });
+  }
+}
+
+/**
+ * Applies a diff: sheet-only and sheet-newer rows go to Supabase, DB-newer rows
+ * are updated in place in the sheet and DB-only rows are appended. One-way
+ * tables are only repaired in their direction.
+ * Duplicates, unreadable and tombstoned rows are left for a human.
+ * @returns {Promise<{ toSupabase: Array<object>, sheetUpdates: Array<object>, sheetAppends: Array<object> }>}
+ */
+async function applyDiff(config, columns, diff, log = () => {}) {
+  let { missingInSupabase } = diff;
+  // A read-only tab (db_to_sheet) never writes rows into the database
+  if (config.direction === 'db_to_sheet' && missingInSupabase.length > 0) {
+    log(`Leaving ${missingInSupabase.length} sheet-only rows: the tab is read-only...`);
+    missingInSupabase = [];
+  }
+  if (tableConfig.isScoped(config) && missingInSupabase.length > 0) {
+    // Rows that exist under another tenant, or outside the rowFilter, are never
+    // written back from this sheet
+    const elsewhere = await fetchRecordsByKeys(
+      { ...config, tenantValues: null, rowFilter: [] },
+      missingInSupabase.map(d => d.id)
+    );
+    const taken = new Set(elsewhere.map(r => tableConfig.getRowKey(r, config)));
+    if (taken.size > 0) log(`Skipping ${taken.size} rows that aren't mirrored into this sheet...`);
+    missingInSupabase = missingInSupabase.filter(d => !taken.has(d.id));
+  }
+
+  const toSupabase = [
+    ...missingInSupabase.map(d => d.record),
+    ...diff.differences.filter(d => d.winner === 'sheet').map(d => d.sheetRecord),
+  ];
+  const sheetUpdates = diff.differences
+    .filter(d => d.winner === 'supabase')
+    .map(d => ({ row: d.row, record: d.dbRecord }));
+  const sheetAppends = diff.missingInSheet.map(d => d.record);
+
+  if (toSupabase.length > 0) {
+    log(`Upserting ${toSupabase.length} rows into Supabase...`);
+    await upsertRecords(config, toSupabase);
+  }
+  if (sheetUpdates.length > 0) {
+    log(`Updating ${sheetUpdates.length} sheet rows in place...`);
+    await updateSheetRows(config, columns, sheetUpdates);
+  }
+  if (sheetAppends.length > 0) {
+    log(`Appending ${sheetAppends.length} rows to the sheet...`);
+    await appendSheetRows(config, columns, sheetAppends);
+  }
+  return { toSupabase, sheetUpdates, sheetAppends };
+}
+
+module.exports = {
+  fetchRecordPage,
+  fetchAllRecords,
+  fetchRecordsByKeys,
+  fetchSheet,
+  mapSheetRows,
+  diffTable,
+  summarize,
+  applyDiff
+};
@@ -5,7 +5,7 @@ const logger = require('./logger');
 const redisUrl = process.env.REDIS_URL;
 
 if (!redisUrl) {
-  throw new Error('Missing REDIS_URL environment variable. Please add it to your Railway Variables tab.');
+  throw new Error('Missing REDIS_URL environment variable. Please add it to your Railway Variables tab, or set STATE_STORE=memory or sqlite to run without Redis.');
 }
 
 const redis = new Redis(redisUrl, {
@@ -0,0 +1,172 @@
+const { MemoryStore } = require('./memory-store');
+const logger = require('./logger');
+
+/**
+ * State store on Redis (ioredis). Plain keys, locks and dedup keys fall back
+ * to an in-process store while Redis is unreachable, with the same TTLs, so a
+ * Redis outage degrades to single-instance behaviour instead of failing.
+ * Anything written to the fallback during an outage is still honoured after
+ * Redis comes back, until it expires. Hashes, sets and lists are Redis-only;
+ * their errors reach the caller.
+ */
+class RedisStore {
+  /**
+   * @param {import('ioredis').Redis} client - A connected ioredis client.
+   */
+  constructor(client) {
+    this.backend = 'redis';
+    // Exposed for Redis-only features (the stream-based job queue)
+    this.client = client;
+    this.fallback = new MemoryStore();
+    this.degraded = false;
+    client.on('ready', () => {
+      this.degraded = false;
+    });
+  }
+
+  async degrade(primary, fallback) {
+    try {
+      return await primary();
+    } catch (err) {
+      if (!this.degraded) {
+        this.degraded = true;
+        logger.warn(`Redis unavailable, keeping state in local memory: ${err.message}`);
+      }
+      return fallback();
+    }
+  }
+
+  async get(key) {
+    return this.degrade(
+      async () => (await this.client.get(key)) ?? this.fallback.get(key),
+      () => this.fallback.get(key)
+    );
+  }
+
+  async mget(keys) {
+    if (keys.length === 0) return [];
+    return this.degrade(
+      async () => {
+        const values = await this.client.mget(...keys);
+        return Promise.all(values.map((value, i) => value ?? this.fallback.get(keys[i])));
+      },
+      () => this.fallback.mget(keys)
+    );
+  }
+
+  /**
+   * @param {number} [ttlSeconds] - Expire the key after this long (default: never).
+   */
+  async set(key, value, ttlSeconds = null) {
+    return this.degrade(
+      () => (ttlSeconds ? this.client.set(key, value, 'EX', ttlSeconds) : this.client.set(key, value)),
+      () => this.fallback.set(key, value, ttlSeconds)
+    );
+  }
+
+  /**
+   * Sets `key` only if it doesn't exist yet (locks, dedup keys, nonces).
+   * @returns {Promise<boolean>} - True if this call created the key.
+   */
+  async acquire(key, ttlSeconds, value = '1') {
+    return this.degrade(
+      async () => {
+        // Still held from an outage
+        if ((await this.fallback.get(key)) !== null) return false;
+        return (await this.client.set(key, value, 'EX', ttlSeconds, 'NX')) === 'OK';
+      },
+      () => this.fallback.acquire(key, ttlSeconds, value)
+    );
+  }
+
+  async del(...keys) {
+    if (keys.length === 0) return 0;
+    await this.fallback.del(...keys);
+    return this.degrade(() => this.client.del(...keys), () => 0);
+  }
+
+  /**
+   * Applies several writes in one round trip: ['set', key, value, ttlSeconds?], ['del', key] or ['decr', key].
+   */
+  async batch(ops) {
+    const pipeline = this.client.pipeline();
+    for (const [op, key, ...args] of ops) {
+      if (op === 'set') {
+        const [value, ttlSeconds] = args;
+        if (ttlSeconds) pipeline.set(key, value, 'EX', ttlSeconds);
+        else pipeline.set(key, value);
+      } else if (op === 'del') pipeline.del(key);
+      else if (op === 'decr') pipeline.decr(key);
+      else throw new Error(`Unknown batch operation '${op}'`);
+    }
+    return this.degrade(
+      async () => {
+        const failed = (await pipeline.exec()).find(([err]) => err);
+        if (failed) throw failed[0];
+      },
+      () => this.fallback.batch(ops)
+    );
+  }
+
+  hset(key, field, value) {
+    return this.client.hset(key, field, value);
+  }
+
+  hgetall(key) {
+    return this.client.hgetall(key);
+  }
+
+  async hexists(key, field) {
+    return (await this.client.hexists(key, field)) === 1;
+  }
+
+  hdel(key, field) {
+    return this.client.hdel(key, field);
+  }
+
+  sadd(key, members) {
+    return this.client.sadd(key, ...members);
+  }
+
+  async sismember(key, member) {
+    return (await this.client.sismember(key, member)) === 1;
+  }
+
+  scard(key) {
+    return this.client.scard(key);
+  }
+
+  rename(from, to) {
+    return this.client.rename(from, to);
+  }
+
+  lpush(key, value) {
+    return this.client.lpush(key, value);
+  }
+
+  rpop(key) {
+    return this.client.rpop(key);
+  }
+
+  llen(key) {
+    return this.client.llen(key);
+  }
+
+  /**
+   * Iterates over the keys matching a glob pattern, in batches.
+   */
+  scan(pattern, count = 500) {
+    return this.client.scanStream({ match: pattern, count });
+  }
+
+  ping() {
+    return this.client.ping();
+  }
+
+  async close() {
+    await this.fallback.close();
+    await this.client.quit();
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,91 @@
+const axios = require("axios");
+const { default: pRetry } = require("p-retry");
+const logger = require("./logger");
+require("dotenv").config();
+
+const supabaseUrl = (process.env.SUPABASE_URL || "").replace(/^"|"$/g, "");
+const serviceRoleKey = (process.env.SUPABASE_SERVICE_ROLE_KEY || "").replace(
+  /^"|"$/g,
+  "",
+);
+
+// PostgREST OpenAPI document per schema (TTL: 5 minutes, same as the category cache)
+const SCHEMA_CACHE_TTL = 300000;
+const openApiCache = new Map(); // schema -> { definitions, timestamp }
+
+// PostgREST tags key columns in their description, e.g. "<fk table='menu_categories' column='id'/>"
+const FK_TAG_REGEX = /<fk table='([^']+)' column='([^']+)'\/>/;
+const PK_TAG_REGEX = /<pk\/>/;
+
+/**
+ * Fetches the PostgREST OpenAPI description of one schema.
+ * Non-public schemas are selected with the Accept-Profile header.
+ */
+async function fetchDefinitions(schema) {
+  const cached = openApiCache.get(schema);
+  if (cached && Date.now() - cached.timestamp < SCHEMA_CACHE_TTL) {
+    return cached.definitions;
+  }
+
+  const response = await pRetry(
+    () =>
+      axios.get(`${supabaseUrl}/rest/v1/`, {
+        headers: {
+          apikey: serviceRoleKey,
+          Authorization: `Bearer ${serviceRoleKey}`,
+          "Accept-Profile": schema,
+        },
+        timeout: 10000,
+      }),
+    { retries: 3 },
+  );
+
+  const definitions = response.data.definitions || {};
+  openApiCache.set(schema, { definitions, timestamp: Date.now() });
+  logger.info(`Loaded PostgREST schema '${schema}'`, {
+    tables: Object.keys(definitions).length,
+  });
+  return definitions;
+}
+
+/**
+ * Returns the real column types of a table, read from the PostgREST schema.
+ * @param {object} config - The table config (table + schema).
+ * @returns {Promise<Map<string, object>|null>} - column -> { format, type, enum, items,
+ *   isPrimaryKey, foreignKey }, or null when the table is not exposed through PostgREST.
+ */
+async function getColumnTypes(config) {
+  const definitions = await fetchDefinitions(config.schema);
+  const definition = definitions[config.table];
+  if (!definition || !definition.properties) return null;
+
+  const columns = new Map();
+  Object.entries(definition.properties).forEach(([column, prop]) => {
+    const description = prop.description || "";
+    const fkMatch = description.match(FK_TAG_REGEX);
+    columns.set(column, {
+      format: prop.format || prop.type || "text",
+      type: prop.type,
+      enum: prop.enum || (prop.items && prop.items.enum) || null,
+      items: prop.items || null,
+      isPrimaryKey: PK_TAG_REGEX.test(description),
+      foreignKey: fkMatch
+        ? { schema: config.schema, table: fkMatch[1], column: fkMatch[2] }
+        : null,
+    });
+  });
+  return columns;
+}
+
+/**
+ * Drops cached schemas so the next lookup refetches them (e.g. after a migration).
+ */
+function invalidateSchemaCache(schema) {
+  if (schema) openApiCache.delete(schema);
+  else openApiCache.clear();
+}
+
+module.exports = {
+  getColumnTypes,
+  invalidateSchemaCache,
+};
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const store = require("./state-store");
+const logger = require("./logger");
+
+const SIGNATURE_TOLERANCE_S = 5 * 60; // Reject requests signed more than 5m ago (or ahead)
+const NONCE_TTL_S = 2 * SIGNATURE_TOLERANCE_S; // Remember nonces for the whole acceptance window
+
+/**
+ * Computes the hex HMAC-SHA256 signature Apps Script sends for a payload.
+ * The signed message is `${timestamp}.${nonce}.${rawBody}`.
+ */
+function signSheetsPayload(rawBody, timestamp, nonce, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest("hex");
+}
+
+/**
+ * Verifies a signature with a constant-time comparison.
+ * @returns {boolean} - True if signature matches.
+ */
+function verifySheetsSignature(rawBody, timestamp, nonce, signature, secret) {
+  if (!signature || !secret || !timestamp || !nonce) return false;
+  const expected = Buffer.from(
+    signSheetsPayload(rawBody, timestamp, nonce, secret),
+    "hex",
+  );
+  const received = Buffer.from(String(signature), "hex");
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Claims a nonce for the acceptance window.
+ * @returns {Promise<boolean>} - False if the nonce was already used (replay).
+ */
+async function claimNonce(nonce) {
+  return store.acquire(`sheets_nonce:${nonce}`, NONCE_TTL_S);
+}
+
+/**
+ * Rejects unsigned, stale or replayed Apps Script requests before any handler runs.
+ */
+function createSheetsAuthMiddleware() {
+  return async function sheetsAuthMiddleware(req, res, next) {
+    const secret = (process.env.SHEETS_WEBHOOK_SECRET || "").replace(
+      /^"|"$/g,
+      "",
+    );
+    if (!secret) {
+      logger.error(
+        "[CRITICAL ALERT] SHEETS_WEBHOOK_SECRET is not set. Rejecting Sheets request.",
+        { alertLevel: "red" },
+      );
+      return res.status(401).send("Unauthorized: Signing not configured");
+    }
+
+    const timestamp = req.headers["x-sheets-timestamp"];
+    const nonce = req.headers["x-sheets-nonce"];
+    const signature = req.headers["x-sheets-signature"];
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!timestamp || isNaN(ageSeconds) || ageSeconds > SIGNATURE_TOLERANCE_S) {
+      logger.warn("Rejected Sheets request with stale or missing timestamp", {
+        timestamp,
+      });
+      return res.status(401).send("Unauthorized: Stale Request");
+    }
+
+    if (
+      !verifySheetsSignature(
+        req.rawBody || "",
+        timestamp,
+        nonce,
+        signature,
+        secret,
+      )
+    ) {
+      logger.error("Invalid Sheets signature", { nonce });
+      return res.status(401).send("Unauthorized: Invalid Signature");
+    }
+
+    if (!(await claimNonce(nonce))) {
+      logger.warn("[SYSTEM ALERT] Replayed Sheets request rejected", {
+        nonce,
+        alertLevel: "amber",
+      });
+      return res.status(401).send("Unauthorized: Replayed Request");
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createSheetsAuthMiddleware,
+  signSheetsPayload,
+  verifySheetsSignature,
+};
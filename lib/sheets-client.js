@@ -3,10 +3,11 @@ require('dotenv').config();
 
 const serviceAccountEmail = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
 const privateKey = process.env.GOOGLE_PRIVATE_KEY;
-const sheetId = process.env.GOOGLE_SHEET_ID;
+// Default spreadsheet; tables can be routed elsewhere in mirror.config.json
+const sheetId = process.env.GOOGLE_SHEET_ID || null;
 
-if (!serviceAccountEmail || !privateKey || !sheetId) {
-  throw new Error("Missing Google configuration variables (GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY, or GOOGLE_SHEET_ID).");
+if (!serviceAccountEmail || !privateKey) {
+  throw new Error("Missing Google configuration variables (GOOGLE_SERVICE_ACCOUNT_EMAIL or GOOGLE_PRIVATE_KEY).");
 }
 
 const auth = new google.auth.GoogleAuth({
@@ -0,0 +1,202 @@
+const SWEEP_INTERVAL_MS = 60000;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER);
+CREATE TABLE IF NOT EXISTS hashes (key TEXT NOT NULL, field TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (key, field));
+CREATE TABLE IF NOT EXISTS sets (key TEXT NOT NULL, member TEXT NOT NULL, PRIMARY KEY (key, member));
+CREATE TABLE IF NOT EXISTS lists (key TEXT NOT NULL, seq INTEGER NOT NULL, value TEXT NOT NULL, PRIMARY KEY (key, seq));
+`;
+const TABLES = ['kv', 'hashes', 'sets', 'lists'];
+const LIVE = '(expires_at IS NULL OR expires_at > @now)';
+
+/**
+ * State store in a local SQLite file. Same interface and semantics as the
+ * Redis store. State survives restarts and is shared by every process on the
+ * host that opens the same file (the server and the CLI scripts).
+ */
+class SqliteStore {
+  /**
+   * @param {string} path - Database file, created if missing.
+   */
+  constructor(path) {
+    // Optional dependency, only needed for this backend
+    const Database = require('better-sqlite3');
+    this.backend = 'sqlite';
+    this.client = null;
+    this.db = new Database(path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+
+    const q = sql => this.db.prepare(sql);
+    this.stmts = {
+      get: q(`SELECT value FROM kv WHERE key = @key AND ${LIVE}`),
+      set: q('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (@key, @value, @expiresAt)'),
+      exists: q(`SELECT 1 FROM kv WHERE key = @key AND ${LIVE}
+        UNION ALL SELECT 1 FROM hashes WHERE key = @key
+        UNION ALL SELECT 1 FROM sets WHERE key = @key
+        UNION ALL SELECT 1 FROM lists WHERE key = @key LIMIT 1`),
+      decr: q('UPDATE kv SET value = CAST(value AS INTEGER) - 1 WHERE key = @key'),
+      hset: q('INSERT OR REPLACE INTO hashes (key, field, value) VALUES (@key, @field, @value)'),
+      hgetall: q('SELECT field, value FROM hashes WHERE key = @key'),
+      hexists: q('SELECT 1 FROM hashes WHERE key = @key AND field = @field'),
+      hdel: q('DELETE FROM hashes WHERE key = @key AND field = @field'),
+      sadd: q('INSERT OR IGNORE INTO sets (key, member) VALUES (@key, @member)'),
+      sismember: q('SELECT 1 FROM sets WHERE key = @key AND member = @member'),
+      scard: q('SELECT COUNT(*) AS count FROM sets WHERE key = @key'),
+      lpush: q('INSERT INTO lists (key, seq, value) SELECT @key, COALESCE(MAX(seq), 0) + 1, @value FROM lists WHERE key = @key'),
+      rpopFirst: q('SELECT seq, value FROM lists WHERE key = @key ORDER BY seq LIMIT 1'),
+      rpopDelete: q('DELETE FROM lists WHERE key = @key AND seq = @seq'),
+      llen: q('SELECT COUNT(*) AS count FROM lists WHERE key = @key'),
+      sweep: q('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= @now'),
+    };
+    this.delStmts = TABLES.map(table => q(`DELETE FROM ${table} WHERE key = @key`));
+    this.renameStmts = TABLES.map(table => q(`UPDATE ${table} SET key = @to WHERE key = @from`));
+    this.scanStmt = q(`SELECT key FROM kv WHERE key GLOB @pattern AND ${LIVE}
+      UNION SELECT key FROM hashes WHERE key GLOB @pattern
+      UNION SELECT key FROM sets WHERE key GLOB @pattern
+      UNION SELECT key FROM lists WHERE key GLOB @pattern`);
+
+    this.sweepTimer = setInterval(() => this.stmts.sweep.run({ now: Date.now() }), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  exists(key) {
+    return !!this.stmts.exists.get({ key, now: Date.now() });
+  }
+
+  delKey(key) {
+    this.delStmts.forEach(stmt => stmt.run({ key }));
+  }
+
+  setKey(key, value, ttlSeconds) {
+    this.delKey(key);
+    this.stmts.set.run({ key, value: String(value), expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+  }
+
+  async get(key) {
+    const row = this.stmts.get.get({ key, now: Date.now() });
+    return row ? row.value : null;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  /**
+   * @param {number} [ttlSeconds] - Expire the key after this long (default: never).
+   */
+  async set(key, value, ttlSeconds = null) {
+    this.db.transaction(() => this.setKey(key, value, ttlSeconds))();
+  }
+
+  /**
+   * Sets `key` only if it doesn't exist yet (locks, dedup keys, nonces).
+   * @returns {Promise<boolean>} - True if this call created the key.
+   */
+  async acquire(key, ttlSeconds, value = '1') {
+    // IMMEDIATE takes the write lock up front, so two processes can't both see the key missing
+    return this.db.transaction(() => {
+      if (this.exists(key)) return false;
+      this.setKey(key, value, ttlSeconds);
+      return true;
+    }).immediate();
+  }
+
+  async del(...keys) {
+    return this.db.transaction(() => keys.filter(key => {
+      const existed = this.exists(key);
+      this.delKey(key);
+      return existed;
+    }).length)();
+  }
+
+  /**
+   * Applies several writes in one transaction: ['set', key, value, ttlSeconds?], ['del', key] or ['decr', key].
+   */
+  async batch(ops) {
+    this.db.transaction(() => {
+      for (const [op, key, ...args] of ops) {
+        if (op === 'set') this.setKey(key, ...args);
+        else if (op === 'del') this.delKey(key);
+        else if (op === 'decr') this.stmts.decr.run({ key });
+        else throw new Error(`Unknown batch operation '${op}'`);
+      }
+    })();
+  }
+
+  async hset(key, field, value) {
+    this.stmts.hset.run({ key, field: String(field), value: String(value) });
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.stmts.hgetall.all({ key }).map(row => [row.field, row.value]));
+  }
+
+  async hexists(key, field) {
+    return !!this.stmts.hexists.get({ key, field: String(field) });
+  }
+
+  async hdel(key, field) {
+    this.stmts.hdel.run({ key, field: String(field) });
+  }
+
+  async sadd(key, members) {
+    this.db.transaction(() => {
+      members.forEach(member => this.stmts.sadd.run({ key, member: String(member) }));
+    })();
+  }
+
+  async sismember(key, member) {
+    return !!this.stmts.sismember.get({ key, member: String(member) });
+  }
+
+  async scard(key) {
+    return this.stmts.scard.get({ key }).count;
+  }
+
+  async rename(from, to) {
+    this.db.transaction(() => {
+      if (!this.exists(from)) throw new Error('ERR no such key');
+      this.delKey(to);
+      this.renameStmts.forEach(stmt => stmt.run({ from, to }));
+    })();
+  }
+
+  async lpush(key, value) {
+    this.stmts.lpush.run({ key, value: String(value) });
+  }
+
+  async rpop(key) {
+    return this.db.transaction(() => {
+      const row = this.stmts.rpopFirst.get({ key });
+      if (!row) return null;
+      this.stmts.rpopDelete.run({ key, seq: row.seq });
+      return row.value;
+    }).immediate();
+  }
+
+  async llen(key) {
+    return this.stmts.llen.get({ key }).count;
+  }
+
+  /**
+   * Iterates over the keys matching a glob pattern, in batches.
+   */
+  async *scan(pattern, count = 500) {
+    const keys = this.scanStmt.all({ pattern, now: Date.now() }).map(row => row.key);
+    for (let i = 0; i < keys.length; i += count) yield keys.slice(i, i + count);
+  }
+
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+    return 'PONG';
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStore };
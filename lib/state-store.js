@@ -0,0 +1,37 @@
+require('dotenv').config();
+const logger = require('./logger');
+
+/**
+ * The process-wide state store: locks with TTL, fingerprints, snapshots, row
+ * indexes, dedup keys, hashes, sets and lists. STATE_STORE picks the backend:
+ *
+ *   redis  - REDIS_URL (default). Required to run more than one instance.
+ *   memory - In this process only; lost on restart.
+ *   sqlite - A local file (STATE_STORE_PATH), kept across restarts and shared
+ *            with the CLI scripts on the same host.
+ *
+ * Every backend has the same methods and semantics (see lib/memory-store.js).
+ * `store.client` is the raw ioredis client for the redis backend, else null.
+ */
+function createStateStore(backend = process.env.STATE_STORE || 'redis') {
+  switch (backend) {
+    case 'redis': {
+      const { RedisStore } = require('./redis-store');
+      return new RedisStore(require('./redis-client'));
+    }
+    case 'memory': {
+      const { MemoryStore } = require('./memory-store');
+      return new MemoryStore();
+    }
+    case 'sqlite': {
+      const { SqliteStore } = require('./sqlite-store');
+      const path = process.env.STATE_STORE_PATH || 'mirror-state.db';
+      logger.info(`Using SQLite state store at ${path}`);
+      return new SqliteStore(path);
+    }
+    default:
+      throw new Error(`Unknown STATE_STORE '${backend}'. Use redis, memory or sqlite.`);
+  }
+}
+
+module.exports = createStateStore();
@@ -1,4 +1,5 @@
 const { createClient } = require("@supabase/supabase-js");
+const ws = require("ws");
 require("dotenv").config();
 
 const supabaseUrl = (process.env.SUPABASE_URL || "").replace(/^"|"$/g, '');
@@ -8,6 +9,9 @@ if (!supabaseUrl || !supabaseServiceRoleKey) {
   throw new Error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY. Please add these in your Railway project Variables tab.");
 }
 
-const supabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+// Realtime needs a WebSocket implementation on Node < 22
+const supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
+  realtime: { transport: ws },
+});
 
 module.exports = supabase;
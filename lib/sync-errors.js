@@ -0,0 +1,178 @@
+const supabase = require('./supabase-client');
+const { default: pRetry } = require('p-retry');
+const { getTableConfig, getTableForSheet } = require('./table-config');
+
+const SYNC_ERRORS_TABLE = 'sync_errors';
+
+// pending: not yet handled, replayed: re-run succeeded,
+// failed: re-run failed again, discarded: dismissed by an operator
+const STATUSES = ['pending', 'replayed', 'failed', 'discarded'];
+
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Lists dead-lettered sync failures, newest first.
+ * @param {object} filters
+ * @param {string} [filters.table] - Mirrored table. Matches the payload's `table`,
+ *   which is the table name for Supabase events and the tab name for Sheets events.
+ * @param {string} [filters.source] - 'supabase', 'sheets' or 'sheets-delete'.
+ * @param {string|Array<string>} [filters.status] - One or more of STATUSES.
+ * @param {string} [filters.since] - ISO timestamp, inclusive.
+ * @param {string} [filters.until] - ISO timestamp, inclusive.
+ * @param {string} [filters.error] - Case-insensitive substring of the error message.
+ * @param {number} [filters.limit] - Max rows (default 100, capped at 1000).
+ * @returns {Promise<Array<object>>}
+ */
+async function listSyncErrors(filters = {}) {
+  const limit = Math.min(Number(filters.limit) || 100, MAX_LIST_LIMIT);
+  const statuses = parseStatuses(filters.status);
+
+  const { data, error } = await pRetry(() => {
+    let query = supabase
+      .from(SYNC_ERRORS_TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (filters.table) {
+      const names = new Set([filters.table, getTableConfig(filters.table).sheet]);
+      query = query.in('payload->>table', [...names]);
+    }
+    if (filters.source) query = query.eq('source', filters.source);
+    if (statuses) query = query.in('status', statuses);
+    if (filters.since) query = query.gte('created_at', filters.since);
+    if (filters.until) query = query.lte('created_at', filters.until);
+    if (filters.error) query = query.ilike('error_message', `%${filters.error}%`);
+    return query;
+  }, { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Loads specific entries by ID.
+ * @param {Array<number|string>} ids
+ * @returns {Promise<Array<object>>}
+ */
+async function getSyncErrors(ids) {
+  if (!ids || ids.length === 0) return [];
+  const { data, error } = await pRetry(() => supabase
+    .from(SYNC_ERRORS_TABLE)
+    .select('*')
+    .in('id', ids)
+    .order('created_at', { ascending: true }), { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Records the outcome of a replay attempt.
+ * @param {object} entry - The sync_errors row that was replayed.
+ * @param {Error|null} failure - Why the replay failed, or null if it succeeded.
+ */
+async function recordReplay(entry, failure) {
+  const update = {
+    status: failure ? 'failed' : 'replayed',
+    attempts: (entry.attempts || 0) + 1,
+    last_attempt_at: new Date().toISOString(),
+    last_error: failure ? failure.message : null,
+  };
+  const { error } = await pRetry(() => supabase
+    .from(SYNC_ERRORS_TABLE)
+    .update(update)
+    .eq('id', entry.id), { retries: 3 });
+  if (error) throw error;
+  return { ...entry, ...update };
+}
+
+/**
+ * Marks entries as discarded so they no longer count as outstanding.
+ * @param {Array<number|string>} ids
+ * @returns {Promise<number>} - Number of entries updated.
+ */
+async function discardSyncErrors(ids) {
+  if (!ids || ids.length === 0) return 0;
+  const { data, error } = await pRetry(() => supabase
+    .from(SYNC_ERRORS_TABLE)
+    .update({ status: 'discarded' })
+    .in('id', ids)
+    .select('id'), { retries: 3 });
+  if (error) throw error;
+  return data.length;
+}
+
+/**
+ * Counts failures logged since a point in time, grouped by source and table.
+ * Sheets payloads carry the tab name, so it is resolved back to its table.
+ * @param {string} since - ISO timestamp.
+ * @returns {Promise<{ total: number, bySource: object, byTable: object }>}
+ */
+async function countRecentErrors(since) {
+  const counts = { total: 0, bySource: {}, byTable: {} };
+  const limit = 1000;
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await pRetry(() => supabase
+      .from(SYNC_ERRORS_TABLE)
+      .select('id, source, table:payload->>table, spreadsheet:payload->>spreadsheetId')
+      .gte('created_at', since)
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1), { retries: 3 });
+    if (error) throw error;
+
+    data.forEach(e => {
+      const table = !e.table
+        ? 'unknown'
+        : e.source === 'supabase' ? e.table : getTableForSheet(e.table, e.spreadsheet).table;
+      counts.total++;
+      counts.bySource[e.source] = (counts.bySource[e.source] || 0) + 1;
+      counts.byTable[table] = (counts.byTable[table] || 0) + 1;
+    });
+    offset += limit;
+    hasMore = data.length === limit;
+  }
+
+  return counts;
+}
+
+/**
+ * Counts entries that still need attention (pending or failed again).
+ * @returns {Promise<number>}
+ */
+async function countOutstanding() {
+  const { count, error } = await pRetry(() => supabase
+    .from(SYNC_ERRORS_TABLE)
+    .select('id', { count: 'exact', head: true })
+    .in('status', ['pending', 'failed']), { retries: 3 });
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Normalizes a status filter ('pending,failed' or an array) and rejects unknown values.
+ * @returns {Array<string>|null} - null when no status filter was given.
+ */
+function parseStatuses(status) {
+  if (!status) return null;
+  const statuses = (Array.isArray(status) ? status : String(status).split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+  const unknown = statuses.filter(s => !STATUSES.includes(s));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown status '${unknown.join("', '")}'. Expected one of: ${STATUSES.join(', ')}.`);
+  }
+  return statuses;
+}
+
+module.exports = {
+  listSyncErrors,
+  getSyncErrors,
+  recordReplay,
+  discardSyncErrors,
+  countRecentErrors,
+  countOutstanding,
+  parseStatuses,
+  STATUSES,
+  SYNC_ERRORS_TABLE
+};
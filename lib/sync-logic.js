@@ -1,5 +1,7 @@
-const redis = require('./redis-client');
+const store = require('./state-store');
+const tableConfig = require('./table-config');
 const crypto = require('crypto');
+const { coerceValue, CoercionError, UUID_REGEX } = require('./type-coercion');
 
 /**
  * Acquires a sync lock for a specific row ID.
@@ -8,9 +10,7 @@ const crypto = require('crypto');
  * @returns {Promise<boolean>} - True if lock was acquired, false otherwise.
  */
 async function acquireLock(rowId, ttl = 15) {
-  const lockKey = `lock:${rowId}`;
-  const result = await redis.set(lockKey, 'locked', 'EX', ttl, 'NX');
-  return result === 'OK';
+  return store.acquire(`lock:${rowId}`, ttl, 'locked');
 }
 
 /**
@@ -18,8 +18,7 @@ async function acquireLock(rowId, ttl = 15) {
  * @param {string} rowId - The unique ID of the row.
  */
 async function releaseLock(rowId) {
-  const lockKey = `lock:${rowId}`;
-  await redis.del(lockKey);
+  await store.del(`lock:${rowId}`);
 }
 
 /**
@@ -29,9 +28,36 @@ async function releaseLock(rowId) {
  */
 async function isDuplicateEvent(eventId) {
   if (!eventId) return false;
-  const eventKey = `event:${eventId}`;
-  const result = await redis.set(eventKey, 'processed', 'EX', 86400, 'NX'); // 24h TTL
-  return result === null; // If result is null, it means the key already existed
+  // 24h TTL; the key already existing means the event was seen
+  return !(await store.acquire(`event:${eventId}`, 86400, 'processed'));
+}
+
+/**
+ * Decrements every cached row index below a deleted sheet row.
+ * @param {object} target - The sheet target (table config narrowed to a spreadsheet) whose row was removed.
+ * @param {number} deletedRow - The 1-indexed sheet row that was deleted.
+ * @returns {Promise<number>} - Number of cached indexes that were shifted.
+ */
+async function shiftRowIndexes(target, deletedRow) {
+  let shifted = 0;
+
+  for await (const keys of store.scan(tableConfig.rowStateKey('rowindex', target, '*'))) {
+    if (keys.length === 0) continue;
+    const values = await store.mget(keys);
+    const ops = [];
+    keys.forEach((key, i) => {
+      const index = Number(values[i]);
+      if (index === deletedRow) {
+        ops.push(['del', key]);
+      } else if (index > deletedRow) {
+        ops.push(['decr', key]);
+        shifted++;
+      }
+    });
+    await store.batch(ops);
+  }
+
+  return shifted;
 }
 
 /**
@@ -62,6 +88,7 @@ function mapSupabaseToSheets(record, headers) {
   
   // Map values exactly to the header positions (Case-insensitive)
   return headers.map(header => {
+    if (header === null) return null; // Ignored column: Sheets API leaves the cell untouched
     if (!header || String(header).trim() === "") return "";
     const key = String(header).trim().toLowerCase();
     
@@ -81,21 +108,65 @@ function mapSupabaseToSheets(record, headers) {
   });
 }
 
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_KEY_CONFIG = { primaryKeys: ['id'], keyType: 'uuid' };
 const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
 
 /**
- * Maps Google Sheets row data to Supabase record with extreme type safety and 
- * greedy "Smart Column Recovery" for misaligned sheets.
+ * Maps a sheet row using the table's real column types (from the PostgREST schema).
+ * Columns that don't exist in the table are skipped.
+ * @throws {CoercionError} - Listing every value that could not be converted.
  */
-function mapSheetsToSupabase(row, headers) {
+function mapSheetsWithSchema(row, headers, columnTypes) {
   const record = {};
-  
+  const failures = [];
+
+  headers.forEach((column, index) => {
+    if (!column) return;
+    let columnType = columnTypes.get(column);
+    if (!columnType) {
+      const match = [...columnTypes.keys()].find(k => k.toLowerCase() === column.toLowerCase());
+      if (!match) return; // Sheet-only column, not part of the table
+      column = match;
+      columnType = columnTypes.get(match);
+    }
+
+    try {
+      record[column] = coerceValue(row[index], columnType);
+    } catch (err) {
+      failures.push({ column, format: columnType.format, value: row[index], reason: err.message });
+    }
+  });
+
+  if (failures.length > 0) throw new CoercionError(failures);
+  return record;
+}
+
+/**
+ * Maps Google Sheets row data to Supabase record. With column types the values
+ * are coerced to the real schema; without them (schema unavailable) it falls back
+ * to name-based type safety and greedy "Smart Column Recovery" for misaligned sheets.
+ * @param {Array} row - The sheet row values.
+ * @param {Array<string|null>} headers - Column names per position (null = ignored).
+ * @param {object} [keyConfig] - { primaryKeys, keyType } from the table config.
+ * @param {Map<string, object>} [columnTypes] - Column types from the schema cache.
+ */
+function mapSheetsToSupabase(row, headers, keyConfig = DEFAULT_KEY_CONFIG, columnTypes = null) {
+  if (columnTypes) return mapSheetsWithSchema(row, headers, columnTypes);
+
+  const record = {};
+  const { primaryKeys, keyType } = keyConfig;
+  const isUuidKey = keyType === 'uuid';
+  // Greedy recovery can only guess a key that is a single UUID column
+  const recoverableKey = isUuidKey && primaryKeys.length === 1 ? primaryKeys[0] : null;
+
   // 1. GREEDY ID RECOVERY:
-  const idColIndex = headers.findIndex(h => h && h.trim().toLowerCase() === 'id');
-  let rowId = idColIndex !== -1 ? row[idColIndex] : null;
-  if (!rowId || !UUID_REGEX.test(String(rowId).trim())) {
-    rowId = row.find(v => v && UUID_REGEX.test(String(v).trim())) || rowId;
+  let rowId = null;
+  if (recoverableKey) {
+    const idColIndex = headers.findIndex(h => h && h.trim().toLowerCase() === recoverableKey);
+    rowId = idColIndex !== -1 ? row[idColIndex] : null;
+    if (!rowId || !UUID_REGEX.test(String(rowId).trim())) {
+      rowId = row.find(v => v && UUID_REGEX.test(String(v).trim())) || rowId;
+    }
   }
 
     // 2. PRIMARY MAPPING (With Aggressive Type Filtering)
@@ -104,17 +175,29 @@ function mapSheetsToSupabase(row, headers) {
       let val = row[index];
       const key = header.trim().toLowerCase();
       
-      if (key === 'id') val = rowId;
+      const isKey = primaryKeys.includes(key);
+      if (key === recoverableKey) val = rowId;
 
       if (val === "" || val === undefined || (typeof val === 'string' && val.toLowerCase() === 'null')) {
         val = null;
       }
 
-      if (val && (key.endsWith('_id') || key === 'id') && !UUID_REGEX.test(String(val).trim())) {
+      if (val && ((key.endsWith('_id') && !isKey) || (isKey && isUuidKey)) && !UUID_REGEX.test(String(val).trim())) {
         console.warn(`[TYPE SAFETY] Discarding invalid UUID for '${header}': "${val}"`);
         val = null;
       }
 
+      // TYPE SAFETY: Integer keys (bigint identity columns)
+      if (val && isKey && keyType === 'integer') {
+        const num = Number(String(val).trim());
+        if (!Number.isInteger(num)) {
+          console.warn(`[TYPE SAFETY] Discarding invalid integer key for '${header}': "${val}"`);
+          val = null;
+        } else {
+          val = num;
+        }
+      }
+
       // TYPE SAFETY: Timestamp Validation
       if (val && (key.endsWith('_at') || key === 'timestamp')) {
         const strVal = String(val).trim();
@@ -215,15 +298,16 @@ function mapSheetsToSupabase(row, headers) {
 }
 
 /**
- * Calculates a stable MD5 fingerprint for a record.
- * @param {object} record - The record to hash.
+ * Normalizes a record for fingerprinting: metadata fields are dropped, keys are
+ * lowercased and sorted, and values are coerced to strings.
+ * @param {object} record - The record to normalize.
  * @param {Array<string>} [includeKeys] - Optional keys to include.
- * @returns {string} - The hex digest.
+ * @returns {object}
  */
-function calculateFingerprint(record, includeKeys = null) {
-  if (!record) return "";
+function normalizeForFingerprint(record, includeKeys = null) {
   const normalized = {};
-  const keys = includeKeys || Object.keys(record);
+  // Blank and ignored (null) columns never take part in the fingerprint
+  const keys = (includeKeys || Object.keys(record)).filter(Boolean);
   
   const metadataFields = ['synced_at', 'created_at', 'source', 'updated_at'];
   
@@ -246,6 +330,18 @@ function calculateFingerprint(record, includeKeys = null) {
         normalized[key.toLowerCase()] = null;
       }
     });
+  return normalized;
+}
+
+/**
+ * Calculates a stable MD5 fingerprint for a record.
+ * @param {object} record - The record to hash.
+ * @param {Array<string>} [includeKeys] - Optional keys to include.
+ * @returns {string} - The hex digest.
+ */
+function calculateFingerprint(record, includeKeys = null) {
+  if (!record) return "";
+  const normalized = normalizeForFingerprint(record, includeKeys);
 
   const fingerprint = crypto.createHash('md5').update(JSON.stringify(normalized)).digest('hex');
   
@@ -255,13 +351,134 @@ function calculateFingerprint(record, includeKeys = null) {
   return fingerprint;
 }
 
+// Sync bookkeeping columns never take part in a field-level merge
+const MERGE_EXCLUDED_FIELDS = ['created_at', 'updated_at', 'synced_at', 'source'];
+
+/**
+ * Compares two column values the way they round-trip between Sheets and Postgres:
+ * blank and null are equal, numbers compare numerically, timestamps by instant
+ * and objects/arrays by their JSON.
+ * @returns {boolean}
+ */
+function valuesEqual(a, b) {
+  const blank = v => v === undefined || v === null || v === '';
+  if (blank(a) || blank(b)) return blank(a) && blank(b);
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  const strA = String(a).trim();
+  const strB = String(b).trim();
+  if (strA === strB) return true;
+  if (strA !== '' && strB !== '' && !isNaN(Number(strA)) && !isNaN(Number(strB))) {
+    return Number(strA) === Number(strB);
+  }
+  if (ISO_DATE_REGEX.test(strA) && ISO_DATE_REGEX.test(strB)) {
+    return new Date(strA).getTime() === new Date(strB).getTime();
+  }
+  return strA.toLowerCase() === strB.toLowerCase() && ['true', 'false'].includes(strA.toLowerCase());
+}
+
+/**
+ * Picks the columns of a record that are mirrored to the sheet, as the base
+ * snapshot for later three-way merges.
+ * @param {object} record - The row as synced.
+ * @param {Array<string|null>} columns - Resolved sheet columns (null/blank are skipped).
+ * @returns {object}
+ */
+function buildSnapshot(record, columns) {
+  const snapshot = {};
+  columns.filter(Boolean).forEach(column => {
+    if (record[column] !== undefined) snapshot[column] = record[column];
+  });
+  return snapshot;
+}
+
+/**
+ * Three-way merge of a sheet row against the database row, using the last
+ * synced snapshot as the common base.
+ * @param {object} base - Snapshot of the row as last synced.
+ * @param {object} sheet - The incoming sheet row (already mapped and coerced).
+ * @param {object} db - The current database row.
+ * @param {Array<string>} fields - Columns to merge (keys and bookkeeping columns excluded).
+ * @returns {{ sheetChanges: object, conflicts: Array<object> }} - Fields only the sheet
+ *   changed, and fields both sides changed to different values.
+ */
+function mergeThreeWay(base, sheet, db, fields) {
+  const sheetChanges = {};
+  const conflicts = [];
+
+  fields
+    .filter(field => !MERGE_EXCLUDED_FIELDS.includes(field) && field in base)
+    .forEach(field => {
+      if (valuesEqual(sheet[field], base[field])) return;
+      const dbChanged = db && !valuesEqual(db[field], base[field]);
+      if (dbChanged && !valuesEqual(sheet[field], db[field])) {
+        conflicts.push({ field, base: base[field], sheet: sheet[field], db: db[field] });
+      } else {
+        sheetChanges[field] = sheet[field];
+      }
+    });
+
+  return { sheetChanges, conflicts };
+}
+
+/**
+ * Reads the column-level patch of a Sheets edit: the columns of the edited
+ * cells and, where Apps Script reported them, their old values coerced the
+ * same way as the new ones.
+ * @param {Array} row - The current sheet row.
+ * @param {Array<string>} headers - The sheet header row.
+ * @param {Array<string|null>} columns - Resolved sheet columns.
+ * @param {{ columns: Array<string>, oldValues?: object }} edit - Edited headers, and old values by header.
+ * @returns {{ fields: Array<string>, oldValues: object }}
+ */
+function readSheetPatch(row, headers, columns, edit, keyConfig = DEFAULT_KEY_CONFIG, columnTypes = null) {
+  const indexes = new Map(); // header -> column index
+  edit.columns.forEach(name => {
+    const index = headers.findIndex(h => h !== undefined && h !== null && String(h).trim() === String(name).trim());
+    if (index !== -1 && columns[index]) indexes.set(name, index);
+  });
+  const fields = [...new Set([...indexes.values()].map(i => columns[i]))];
+
+  const oldRow = [...row];
+  const reported = [];
+  Object.entries(edit.oldValues || {}).forEach(([name, value]) => {
+    if (!indexes.has(name)) return;
+    oldRow[indexes.get(name)] = value;
+    reported.push(columns[indexes.get(name)]);
+  });
+
+  const oldValues = {};
+  if (reported.length > 0) {
+    try {
+      const oldRecord = mapSheetsToSupabase(oldRow, columns, keyConfig, columnTypes);
+      reported.forEach(field => {
+        oldValues[field] = oldRecord[field];
+      });
+    } catch (err) {
+      // Old values that no longer coerce can't serve as a base
+      console.warn(`[PATCH] Ignoring old values: ${err.message}`);
+    }
+  }
+  return { fields, oldValues };
+}
+
 module.exports = {
   acquireLock,
   releaseLock,
   isDuplicateEvent,
+  shiftRowIndexes,
   verifySupabaseSignature,
   mapSupabaseToSheets,
   mapSheetsToSupabase,
+  normalizeForFingerprint,
   calculateFingerprint,
+  valuesEqual,
+  buildSnapshot,
+  mergeThreeWay,
+  readSheetPatch,
+  MERGE_EXCLUDED_FIELDS,
+  CoercionError,
   UUID_REGEX
 };
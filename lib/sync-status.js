@@ -0,0 +1,79 @@
+const store = require("./state-store");
+
+// Sync directions tracked per table
+const DIRECTIONS = ["supabase_to_sheets", "sheets_to_supabase"];
+
+// In-Memory fallback when the state store is unreachable: `${direction}:${table}` -> ISO time
+const localLastSync = new Map();
+const localLastConsistent = new Map(); // table -> ISO time
+
+/**
+ * Records that a change for `table` was applied in `direction`.
+ * Never throws; status tracking must not fail a sync.
+ */
+async function recordSync(direction, table) {
+  const now = new Date().toISOString();
+  localLastSync.set(`${direction}:${table}`, now);
+  await store.hset(`lastsync:${direction}`, table, now).catch(() => {});
+}
+
+/**
+ * Returns the last successful sync time per table and direction.
+ * @returns {Promise<object>} - { [table]: { supabase_to_sheets, sheets_to_supabase } }
+ */
+async function getLastSyncTimes() {
+  const times = {};
+  const set = (table, direction, time) => {
+    times[table] = times[table] || {
+      supabase_to_sheets: null,
+      sheets_to_supabase: null,
+    };
+    const current = times[table][direction];
+    if (!current || time > current) times[table][direction] = time;
+  };
+
+  for (const direction of DIRECTIONS) {
+    const stored = await store
+      .hgetall(`lastsync:${direction}`)
+      .catch(() => ({}));
+    Object.entries(stored || {}).forEach(([table, time]) =>
+      set(table, direction, time),
+    );
+  }
+  for (const [key, time] of localLastSync.entries()) {
+    const [direction, ...rest] = key.split(":");
+    set(rest.join(":"), direction, time);
+  }
+  return times;
+}
+
+/**
+ * Records that the drift detector found `table` consistent on both sides.
+ */
+async function recordConsistent(table) {
+  const now = new Date().toISOString();
+  localLastConsistent.set(table, now);
+  await store.hset("lastconsistent", table, now).catch(() => {});
+}
+
+/**
+ * Returns when each table was last verified consistent.
+ * @returns {Promise<object>} - { [table]: ISO time }
+ */
+async function getLastConsistentTimes() {
+  const times = {
+    ...((await store.hgetall("lastconsistent").catch(() => ({}))) || {}),
+  };
+  for (const [table, time] of localLastConsistent.entries()) {
+    if (!times[table] || time > times[table]) times[table] = time;
+  }
+  return times;
+}
+
+module.exports = {
+  DIRECTIONS,
+  recordSync,
+  getLastSyncTimes,
+  recordConsistent,
+  getLastConsistentTimes,
+};
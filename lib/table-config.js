@@ -0,0 +1,577 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "mirror.config.json");
+const DELETE_MODES = ["hard", "soft"];
+const FK_POLICIES = ["null", "reject", "defer"];
+const KEY_TYPES = ["uuid", "integer", "text"];
+const FILTER_OPS = ["eq", "neq", "in", "is", "isNot"];
+const DIRECTIONS = ["both", "db_to_sheet", "sheet_to_db"];
+
+// Tables without routing rules mirror into this spreadsheet
+const DEFAULT_SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || null;
+
+// Legacy env switch from before the config file existed; still the default deleteMode
+const SOFT_DELETE_TABLES = new Set(
+  (process.env.SOFT_DELETE_TABLES || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean),
+);
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase();
+}
+
+/**
+ * Validates one rowFilter condition. A bare value is shorthand for `eq`, and
+ * null for `is: null`; otherwise the condition is `{ "<op>": value }`.
+ * @returns {{ column: string, op: string, value: * }}
+ */
+function normalizeCondition(column, condition, fail) {
+  const isScalar = (v) => ["string", "number", "boolean"].includes(typeof v);
+  if (condition === null) return { column, op: "is", value: null };
+  if (isScalar(condition)) return { column, op: "eq", value: condition };
+
+  const entries =
+    typeof condition === "object" && !Array.isArray(condition)
+      ? Object.entries(condition)
+      : [];
+  if (entries.length !== 1 || !FILTER_OPS.includes(entries[0][0]))
+    fail(
+      `filter on '${column}' must be a value or one of ${FILTER_OPS.map((op) => `{ "${op}": ... }`).join(", ")}`,
+    );
+  const [op, value] = entries[0];
+  if (
+    op === "in" &&
+    !(Array.isArray(value) && value.length > 0 && value.every(isScalar))
+  )
+    fail(`filter on '${column}': 'in' needs a non-empty array of values`);
+  if ((op === "is" || op === "isNot") && ![null, true, false].includes(value))
+    fail(`filter on '${column}': '${op}' takes null, true or false`);
+  if ((op === "eq" || op === "neq") && !isScalar(value))
+    fail(`filter on '${column}': '${op}' takes a string, number or boolean`);
+  return { column, op, value };
+}
+
+/**
+ * Validates one table entry and fills in defaults.
+ * Throws with the table name and offending field so startup fails loudly.
+ */
+function normalizeTableConfig(table, raw = {}) {
+  const fail = (msg) => {
+    throw new Error(`Invalid mirror config for table '${table}': ${msg}`);
+  };
+  if (typeof raw !== "object" || Array.isArray(raw)) fail("must be an object");
+
+  const sheet = raw.sheet === undefined ? table : raw.sheet;
+  if (typeof sheet !== "string" || sheet.trim() === "")
+    fail("'sheet' must be a non-empty string");
+
+  const schema = raw.schema === undefined ? "public" : raw.schema;
+  if (typeof schema !== "string" || schema.trim() === "")
+    fail("'schema' must be a non-empty string");
+
+  // A single column name, or an array of them for composite keys
+  const primaryKey = raw.primaryKey === undefined ? "id" : raw.primaryKey;
+  const primaryKeys = Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+  if (
+    primaryKeys.length === 0 ||
+    primaryKeys.some((k) => typeof k !== "string" || k.trim() === "")
+  )
+    fail("'primaryKey' must be a column name or an array of column names");
+
+  const keyType = raw.keyType === undefined ? "uuid" : raw.keyType;
+  if (!KEY_TYPES.includes(keyType))
+    fail(`'keyType' must be one of ${KEY_TYPES.join(", ")}`);
+
+  const aliases = raw.headerAliases || {};
+  if (typeof aliases !== "object" || Array.isArray(aliases))
+    fail("'headerAliases' must map header text to column names");
+  const headerAliases = new Map();
+  Object.entries(aliases).forEach(([header, column]) => {
+    if (typeof column !== "string" || column.trim() === "")
+      fail(`alias for header '${header}' must be a column name`);
+    headerAliases.set(normalizeHeader(header), column.trim());
+  });
+
+  const ignore = raw.ignoreColumns || [];
+  if (!Array.isArray(ignore) || ignore.some((c) => typeof c !== "string"))
+    fail("'ignoreColumns' must be an array of strings");
+  const ignoreColumns = new Set(ignore.map(normalizeHeader));
+  primaryKeys.forEach((k) => {
+    if (ignoreColumns.has(k.toLowerCase()))
+      fail(`primary key '${k}' cannot be ignored`);
+  });
+
+  // Database columns that never reach the sheet, whatever its headers say
+  const redact = raw.redactColumns || [];
+  if (!Array.isArray(redact) || redact.some((c) => typeof c !== "string"))
+    fail("'redactColumns' must be an array of column names");
+  const redactColumns = new Set(redact.map(normalizeHeader));
+  primaryKeys.forEach((k) => {
+    if (redactColumns.has(k.toLowerCase()))
+      fail(`primary key '${k}' cannot be redacted`);
+  });
+
+  // Only rows matching every condition are mirrored into the sheet
+  const filter = raw.rowFilter || {};
+  if (typeof filter !== "object" || Array.isArray(filter))
+    fail("'rowFilter' must map column names to conditions");
+  const rowFilter = Object.entries(filter).map(([column, condition]) =>
+    normalizeCondition(column, condition, fail),
+  );
+
+  // db_to_sheet: read-only report tab; sheet_to_db: intake tab the DB never writes to
+  const direction = raw.direction === undefined ? "both" : raw.direction;
+  if (!DIRECTIONS.includes(direction))
+    fail(`'direction' must be one of ${DIRECTIONS.join(", ")}`);
+  const revertNote = raw.revertNote === undefined ? null : raw.revertNote;
+  if (
+    revertNote !== null &&
+    (typeof revertNote !== "string" || revertNote.trim() === "")
+  )
+    fail("'revertNote' must be a non-empty string");
+  if (revertNote !== null && direction !== "db_to_sheet")
+    fail("'revertNote' only applies with direction 'db_to_sheet'");
+
+  const deleteMode =
+    raw.deleteMode === undefined
+      ? SOFT_DELETE_TABLES.has(table)
+        ? "soft"
+        : "hard"
+      : raw.deleteMode;
+  if (!DELETE_MODES.includes(deleteMode))
+    fail(`'deleteMode' must be one of ${DELETE_MODES.join(", ")}`);
+
+  const fkPolicy = raw.fkPolicy === undefined ? "null" : raw.fkPolicy;
+  if (!FK_POLICIES.includes(fkPolicy))
+    fail(`'fkPolicy' must be one of ${FK_POLICIES.join(", ")}`);
+
+  // Declared FKs add to (or override the policy of) those discovered from the schema
+  const fks = raw.foreignKeys || {};
+  if (typeof fks !== "object" || Array.isArray(fks))
+    fail("'foreignKeys' must map column names to references");
+  const foreignKeys = new Map();
+  Object.entries(fks).forEach(([column, ref]) => {
+    if (!ref || typeof ref !== "object")
+      fail(`foreign key '${column}' must be an object`);
+    if (ref.table !== undefined && typeof ref.table !== "string")
+      fail(`foreign key '${column}' has an invalid 'table'`);
+    if (ref.policy !== undefined && !FK_POLICIES.includes(ref.policy))
+      fail(
+        `foreign key '${column}' policy must be one of ${FK_POLICIES.join(", ")}`,
+      );
+    foreignKeys.set(column, {
+      table: ref.table || null,
+      column: ref.column || "id",
+      schema: ref.schema || schema,
+      policy: ref.policy || null,
+    });
+  });
+
+  // Routing: one spreadsheet for the table, or one per tenant column value
+  const tenantColumn = raw.tenantColumn === undefined ? null : raw.tenantColumn;
+  if (
+    tenantColumn !== null &&
+    (typeof tenantColumn !== "string" || tenantColumn.trim() === "")
+  )
+    fail("'tenantColumn' must be a column name");
+  const tenants = new Map();
+  let spreadsheetId = null;
+  if (tenantColumn) {
+    if (raw.spreadsheetId !== undefined)
+      fail("use 'tenants' instead of 'spreadsheetId' with 'tenantColumn'");
+    const rawTenants = raw.tenants || {};
+    if (typeof rawTenants !== "object" || Array.isArray(rawTenants))
+      fail("'tenants' must map tenant values to spreadsheet IDs");
+    Object.entries(rawTenants).forEach(([value, id]) => {
+      if (typeof id !== "string" || id.trim() === "")
+        fail(`tenant '${value}' must map to a spreadsheet ID`);
+      tenants.set(value.trim(), id.trim());
+    });
+    if (tenants.size === 0)
+      fail("'tenants' must list at least one tenant value");
+  } else {
+    if (raw.tenants !== undefined) fail("'tenants' needs a 'tenantColumn'");
+    spreadsheetId =
+      raw.spreadsheetId === undefined
+        ? DEFAULT_SPREADSHEET_ID
+        : raw.spreadsheetId;
+    if (typeof spreadsheetId !== "string" || spreadsheetId.trim() === "")
+      fail("'spreadsheetId' is required when GOOGLE_SHEET_ID is not set");
+    spreadsheetId = spreadsheetId.trim();
+  }
+  if (tenantColumn && redactColumns.has(tenantColumn.toLowerCase()))
+    fail(`tenant column '${tenantColumn}' cannot be redacted`);
+
+  return {
+    table,
+    sheet,
+    schema,
+    spreadsheetId,
+    tenantColumn,
+    tenants,
+    // Set on the per-spreadsheet targets of a tenant-split table (see getSheetTarget)
+    tenantValues: null,
+    primaryKeys,
+    keyType,
+    conflictTarget: primaryKeys.join(","),
+    headerAliases,
+    ignoreColumns,
+    redactColumns,
+    rowFilter,
+    direction,
+    revertNote,
+    deleteMode,
+    fkPolicy,
+    foreignKeys,
+  };
+}
+
+/**
+ * Loads and validates the mapping file. A missing file means every table uses
+ * the defaults (tab = table, schema public, key 'id', headers = columns).
+ */
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    logger.info(`No mirror config at ${configPath}. Using defaults.`);
+    return new Map();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Failed to parse mirror config ${configPath}: ${err.message}`,
+    );
+  }
+  if (
+    !parsed ||
+    typeof parsed.tables !== "object" ||
+    Array.isArray(parsed.tables)
+  ) {
+    throw new Error(`Mirror config ${configPath} must have a 'tables' object.`);
+  }
+
+  const tables = new Map();
+  const sheetOwners = new Map();
+  Object.entries(parsed.tables).forEach(([table, raw]) => {
+    const config = normalizeTableConfig(table, raw);
+    // A tab name only has to be unique within its spreadsheet
+    listSpreadsheetIds(config).forEach((spreadsheetId) => {
+      const tab = `${spreadsheetId}!${config.sheet}`;
+      if (sheetOwners.has(tab)) {
+        throw new Error(
+          `Invalid mirror config: tab '${config.sheet}' of spreadsheet ${spreadsheetId} is mapped by both '${sheetOwners.get(tab)}' and '${table}'.`,
+        );
+      }
+      sheetOwners.set(tab, table);
+    });
+    tables.set(table, config);
+  });
+
+  logger.info(`Loaded mirror config for ${tables.size} table(s)`, {
+    tables: [...tables.keys()],
+  });
+  return tables;
+}
+
+const tables = loadConfig(
+  process.env.MIRROR_CONFIG_PATH || DEFAULT_CONFIG_PATH,
+);
+
+/**
+ * Returns the (defaulted) config for a database table.
+ * @param {string} table - The Postgres table name.
+ */
+function getTableConfig(table) {
+  return tables.get(table) || normalizeTableConfig(table);
+}
+
+/**
+ * Resolves the table mirrored into a tab. Unmapped tabs fall back to the
+ * tab name itself, unless another table already claims that name as its tab.
+ * @param {string} sheetName - The tab title sent by Apps Script.
+ * @param {string} [spreadsheetId] - Only match tables routed to this spreadsheet.
+ */
+function getTableForSheet(sheetName, spreadsheetId = null) {
+  for (const config of tables.values()) {
+    if (
+      config.sheet === sheetName &&
+      (!spreadsheetId || listSpreadsheetIds(config).includes(spreadsheetId))
+    )
+      return config;
+  }
+  return getTableConfig(sheetName);
+}
+
+/**
+ * Lists every table declared in the config file.
+ */
+function listTableConfigs() {
+  return [...tables.values()];
+}
+
+/**
+ * Every spreadsheet a table is mirrored into.
+ */
+function listSpreadsheetIds(config) {
+  return config.tenantColumn
+    ? [...new Set(config.tenants.values())]
+    : [config.spreadsheetId];
+}
+
+/**
+ * The table config narrowed to one spreadsheet: `spreadsheetId` is set and,
+ * for tenant-split tables, `tenantValues` lists the tenants it holds.
+ * Targets are accepted wherever a table config is.
+ * @returns {object|null} - Null if the routing rules don't send the table there.
+ */
+function getSheetTarget(config, spreadsheetId) {
+  if (!config.tenantColumn) {
+    return config.spreadsheetId === spreadsheetId ? config : null;
+  }
+  const tenantValues = [...config.tenants]
+    .filter(([, id]) => id === spreadsheetId)
+    .map(([value]) => value);
+  return tenantValues.length > 0
+    ? { ...config, spreadsheetId, tenantValues }
+    : null;
+}
+
+/**
+ * One target per spreadsheet the table is mirrored into.
+ */
+function listSheetTargets(config) {
+  return listSpreadsheetIds(config).map((id) => getSheetTarget(config, id));
+}
+
+/**
+ * The target of a one-off run (backfill, reconcile): the spreadsheet asked
+ * for, or the table's only one. Throws if that doesn't pick exactly one.
+ */
+function pickSheetTarget(config, spreadsheetId = null) {
+  const ids = listSpreadsheetIds(config);
+  if (!spreadsheetId && ids.length > 1) {
+    throw new Error(
+      `Table '${config.table}' is mirrored into ${ids.length} spreadsheets; pick one with --spreadsheet (${ids.join(", ")}).`,
+    );
+  }
+  const target = getSheetTarget(config, spreadsheetId || ids[0]);
+  if (!target) {
+    throw new Error(
+      `Table '${config.table}' is not routed to spreadsheet ${spreadsheetId}.`,
+    );
+  }
+  return target;
+}
+
+function tenantOf(record, config) {
+  const value = record ? record[config.tenantColumn] : null;
+  return value === undefined || value === null ? null : String(value).trim();
+}
+
+/**
+ * Picks the spreadsheet a row is mirrored into.
+ * @returns {object|null} - The sheet target, or null if the row's tenant isn't routed anywhere.
+ */
+function routeRecord(config, record) {
+  if (!config.tenantColumn) return config;
+  const spreadsheetId = config.tenants.get(tenantOf(record, config));
+  return spreadsheetId ? getSheetTarget(config, spreadsheetId) : null;
+}
+
+/**
+ * True if a row belongs in the target's spreadsheet.
+ */
+function ownsRecord(target, record) {
+  return (
+    !target.tenantValues ||
+    target.tenantValues.includes(tenantOf(record, target))
+  );
+}
+
+// Same result as the SQL condition: null never equals (or differs from) anything
+function matchesCondition(actual, { op, value }) {
+  const same = (a, b) => a !== null && b !== null && String(a) === String(b);
+  const current = actual === undefined ? null : actual;
+  switch (op) {
+    case "eq":
+      return same(current, value);
+    case "neq":
+      return current !== null && !same(current, value);
+    case "in":
+      return value.some((v) => same(current, v));
+    case "is":
+      return value === null ? current === null : same(current, value);
+    case "isNot":
+      return value === null ? current !== null : !same(current, value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * True if a database row passes the table's rowFilter (always, without one).
+ */
+function matchesFilter(config, record) {
+  return config.rowFilter.every((condition) =>
+    matchesCondition(record ? record[condition.column] : null, condition),
+  );
+}
+
+/**
+ * True if the target holds only part of the table (some tenants, or a rowFilter).
+ */
+function isScoped(target) {
+  return !!target.tenantValues || target.rowFilter.length > 0;
+}
+
+/**
+ * Limits a Supabase query to the rows mirrored into the target's spreadsheet:
+ * its tenants, and those passing the rowFilter.
+ */
+function scopeQuery(query, target) {
+  let scoped = target.tenantValues
+    ? query.in(target.tenantColumn, target.tenantValues)
+    : query;
+  target.rowFilter.forEach(({ column, op, value }) => {
+    scoped =
+      op === "isNot"
+        ? scoped.not(column, "is", value)
+        : scoped[op](column, value);
+  });
+  return scoped;
+}
+
+/**
+ * Builds a per-row state store key, namespaced by spreadsheet.
+ * @example rowStateKey("rowindex", target, "42") -> "rowindex:<spreadsheetId>:menu_items:42"
+ */
+function rowStateKey(kind, target, rowId) {
+  return `${kind}:${target.spreadsheetId}:${target.table}:${rowId}`;
+}
+
+/**
+ * Builds an A1 range for a tab. The name is always quoted so spaces, symbols
+ * and cell-like names (e.g. "Q1") parse correctly.
+ * @example a1Range("Menu Items", "1:1") -> "'Menu Items'!1:1"
+ */
+function a1Range(sheetName, range) {
+  const quoted = `'${String(sheetName).replace(/'/g, "''")}'`;
+  return range ? `${quoted}!${range}` : quoted;
+}
+
+/**
+ * Converts a 0-based column index to its A1 letter(s) (0 -> A, 26 -> AA).
+ */
+function columnLetter(index) {
+  let letter = "";
+  for (let i = index; i >= 0; i = Math.floor(i / 26) - 1) {
+    letter = String.fromCharCode((i % 26) + 65) + letter;
+  }
+  return letter || "A";
+}
+
+/**
+ * Translates sheet headers into database column names, position for position.
+ * Blank headers become "" and ignored columns become null so callers can skip them.
+ * Redacted columns also become "": their cells are written blank and never read.
+ * @param {Array<string>} headers - Row 1 of the tab.
+ * @param {object} config - The table config.
+ * @returns {Array<string|null>}
+ */
+function resolveColumns(headers, config) {
+  return headers.map((header) => {
+    if (header === undefined || header === null || String(header).trim() === "")
+      return "";
+    const key = normalizeHeader(header);
+    const column = config.headerAliases.get(key) || key;
+    if (config.redactColumns.has(column.toLowerCase())) return "";
+    if (
+      config.ignoreColumns.has(key) ||
+      config.ignoreColumns.has(column.toLowerCase())
+    )
+      return null;
+    return column;
+  });
+}
+
+/**
+ * Encodes key values into the row key used in Redis keys, locks and tombstones.
+ * Single keys stay as-is (so existing cache entries remain valid); composite
+ * keys are URI-encoded per part and joined with "|".
+ * @param {Array} parts - Key values in primaryKeys order.
+ */
+function encodeRowKey(parts) {
+  if (parts.length === 1) return String(parts[0]).trim();
+  return parts.map((p) => encodeURIComponent(String(p).trim())).join("|");
+}
+
+/**
+ * Builds the row key of a record, or null if any key column is empty.
+ */
+function getRowKey(record, config) {
+  if (!record) return null;
+  const parts = config.primaryKeys.map((k) => record[k]);
+  if (
+    parts.some((p) => p === undefined || p === null || String(p).trim() === "")
+  )
+    return null;
+  return encodeRowKey(parts);
+}
+
+/**
+ * Turns a row key back into a { column: value } filter for Supabase `.match()`.
+ */
+function getKeyFilter(rowKey, config) {
+  const parts =
+    config.primaryKeys.length === 1
+      ? [rowKey]
+      : String(rowKey).split("|").map(decodeURIComponent);
+  return Object.fromEntries(config.primaryKeys.map((k, i) => [k, parts[i]]));
+}
+
+/**
+ * Positions of the key columns in the resolved sheet columns, or null if any is missing.
+ */
+function getKeyIndexes(columns, config) {
+  const indexes = config.primaryKeys.map((k) => columns.indexOf(k));
+  return indexes.includes(-1) ? null : indexes;
+}
+
+/**
+ * Starts a Supabase query against the table in its configured schema.
+ */
+function fromTable(client, config) {
+  return client.schema(config.schema).from(config.table);
+}
+
+module.exports = {
+  FK_POLICIES,
+  getTableConfig,
+  getTableForSheet,
+  listTableConfigs,
+  listSpreadsheetIds,
+  getSheetTarget,
+  listSheetTargets,
+  pickSheetTarget,
+  routeRecord,
+  ownsRecord,
+  matchesFilter,
+  isScoped,
+  scopeQuery,
+  rowStateKey,
+  resolveColumns,
+  encodeRowKey,
+  getRowKey,
+  getKeyFilter,
+  getKeyIndexes,
+  a1Range,
+  columnLetter,
+  fromTable,
+  normalizeTableConfig,
+};
@@ -0,0 +1,95 @@
+const supabase = require('./supabase-client');
+const { default: pRetry } = require('p-retry');
+
+const TOMBSTONE_TABLE = 'sync_tombstones';
+
+/**
+ * Records tombstones for deleted rows so stale copies cannot resurrect them.
+ * @param {string} table - The mirrored table name.
+ * @param {Array<string>} rowIds - IDs of the deleted rows.
+ * @param {string} source - Where the delete originated ('sheets' or 'supabase').
+ */
+async function recordTombstones(table, rowIds, source) {
+  if (!rowIds || rowIds.length === 0) return;
+  const deletedAt = new Date().toISOString();
+  const rows = rowIds.map(rowId => ({
+    table_name: table,
+    row_id: String(rowId),
+    source,
+    deleted_at: deletedAt,
+  }));
+
+  const { error } = await pRetry(() => supabase
+    .from(TOMBSTONE_TABLE)
+    .upsert(rows, { onConflict: 'table_name,row_id' }), { retries: 3 });
+  if (error) throw error;
+}
+
+/**
+ * Removes the tombstones of rows that exist again (re-inserted, or their
+ * deleted_at cleared), so their sheet edits are accepted again.
+ * @param {string} table - The mirrored table name.
+ * @param {Array<string>} rowIds - IDs of the restored rows.
+ */
+async function clearTombstones(table, rowIds) {
+  if (!rowIds || rowIds.length === 0) return;
+  const { error } = await pRetry(() => supabase
+    .from(TOMBSTONE_TABLE)
+    .delete()
+    .eq('table_name', table)
+    .in('row_id', rowIds.map(String)), { retries: 3 });
+  if (error) throw error;
+}
+
+/**
+ * Checks whether a row has been deleted on either side.
+ * @param {string} table - The mirrored table name.
+ * @param {string} rowId - The row ID to check.
+ * @returns {Promise<boolean>} - True if a tombstone exists.
+ */
+async function isTombstoned(table, rowId) {
+  const { data, error } = await pRetry(() => supabase
+    .from(TOMBSTONE_TABLE)
+    .select('row_id')
+    .eq('table_name', table)
+    .eq('row_id', String(rowId))
+    .maybeSingle(), { retries: 3 });
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Loads every tombstoned row ID for a table (used by bulk jobs like reconcile).
+ * @param {string} table - The mirrored table name.
+ * @returns {Promise<Set<string>>} - Set of tombstoned row IDs.
+ */
+async function getTombstonedIds(table) {
+  const ids = new Set();
+  const limit = 1000;
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await pRetry(() => supabase
+      .from(TOMBSTONE_TABLE)
+      .select('row_id')
+      .eq('table_name', table)
+      .order('row_id', { ascending: true })
+      .range(offset, offset + limit - 1), { retries: 3 });
+    if (error) throw error;
+
+    data.forEach(t => ids.add(t.row_id));
+    offset += limit;
+    hasMore = data.length === limit;
+  }
+
+  return ids;
+}
+
+module.exports = {
+  recordTombstones,
+  clearTombstones,
+  isTombstoned,
+  getTombstonedIds,
+  TOMBSTONE_TABLE
+};
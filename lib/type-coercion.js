@@ -0,0 +1,156 @@
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_PREFIX_REGEX = /^\d{4}-\d{2}-\d{2}T/;
+const INTEGER_REGEX = /^[+-]?\d+$/;
+
+const INTEGER_FORMATS = ['smallint', 'integer', 'bigint'];
+const NUMERIC_FORMATS = ['numeric', 'real', 'double precision'];
+const TIMESTAMP_FORMATS = ['timestamp with time zone', 'timestamp without time zone'];
+const JSON_FORMATS = ['json', 'jsonb'];
+
+/**
+ * Raised when a sheet value cannot be converted to its column's Postgres type.
+ * `failures` holds every offending column so one error reports the whole row.
+ */
+class CoercionError extends Error {
+  constructor(failures) {
+    super(`Cannot convert sheet values: ${failures
+      .map(f => `'${f.column}' (${f.format}) = "${f.value}": ${f.reason}`)
+      .join('; ')}`);
+    this.name = 'CoercionError';
+    this.failures = failures;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' ||
+    (typeof value === 'string' && (value.trim() === '' || value.trim().toLowerCase() === 'null'));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const num = Number(String(value).trim());
+  if (isNaN(num)) throw new Error('not a number');
+  return num;
+}
+
+function toInteger(value, format) {
+  const str = String(value).trim();
+  if (!INTEGER_REGEX.test(str)) {
+    // Sheets hands back whole numbers as 5 or "5.0"
+    const num = Number(str);
+    if (isNaN(num) || !Number.isInteger(num)) throw new Error('not an integer');
+    return num;
+  }
+  const num = Number(str);
+  // bigint beyond 2^53 would lose precision as a JS number; PostgREST accepts the string
+  if (format === 'bigint' && !Number.isSafeInteger(num)) return str.replace(/^\+/, '');
+  return num;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const lv = String(value).trim().toLowerCase();
+  if (['true', 't', '1', 'yes', 'y'].includes(lv)) return true;
+  if (['false', 'f', '0', 'no', 'n'].includes(lv)) return false;
+  throw new Error('not a boolean');
+}
+
+/**
+ * A date is the calendar day as written, never the UTC day of the instant: a
+ * local-midnight cell east of UTC would otherwise land on the day before.
+ * Apps Script sends Date cells as ISO strings in the spreadsheet's timezone.
+ */
+function toDate(value) {
+  const str = String(value).trim();
+  if (DATE_ONLY_REGEX.test(str)) return str;
+  const time = Date.parse(str);
+  if (isNaN(time)) throw new Error('not a date');
+  if (ISO_DATE_PREFIX_REGEX.test(str)) return str.slice(0, 10);
+  // Other text has no reliable zone; read it as the local date it names
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toTimestamp(value) {
+  const time = Date.parse(String(value).trim());
+  if (isNaN(time)) throw new Error('not a timestamp');
+  return new Date(time).toISOString();
+}
+
+function toUuid(value) {
+  const str = String(value).trim();
+  if (!UUID_REGEX.test(str)) throw new Error('not a UUID');
+  return str.toLowerCase();
+}
+
+function toEnum(value, allowed) {
+  const str = String(value).trim();
+  if (allowed.includes(str)) return str;
+  const match = allowed.find(v => v.toLowerCase() === str.toLowerCase());
+  if (match === undefined) throw new Error(`expected one of ${allowed.join(', ')}`);
+  return match;
+}
+
+function toJson(value) {
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(String(value));
+  } catch (e) {
+    throw new Error('not valid JSON');
+  }
+}
+
+/**
+ * Splits an array cell. Accepts JSON ('["a","b"]'), Postgres literals ('{a,b}')
+ * and plain comma-separated text ('a, b').
+ */
+function toArrayElements(value) {
+  if (Array.isArray(value)) return value;
+  const str = String(value).trim();
+  if (str.startsWith('[')) {
+    const parsed = toJson(str);
+    if (!Array.isArray(parsed)) throw new Error('not an array');
+    return parsed;
+  }
+  const inner = str.startsWith('{') && str.endsWith('}') ? str.slice(1, -1) : str;
+  if (inner.trim() === '') return [];
+  return inner.split(',').map(v => v.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function coerceScalar(value, format, allowed) {
+  if (allowed) return toEnum(value, allowed);
+  if (INTEGER_FORMATS.includes(format)) return toInteger(value, format);
+  if (NUMERIC_FORMATS.includes(format)) return toNumber(value);
+  if (format === 'boolean') return toBoolean(value);
+  if (format === 'date') return toDate(value);
+  if (TIMESTAMP_FORMATS.includes(format)) return toTimestamp(value);
+  if (format === 'uuid') return toUuid(value);
+  if (JSON_FORMATS.includes(format)) return toJson(value);
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Converts a raw sheet cell to the value PostgREST expects for a column.
+ * @param {*} value - The cell value sent by Apps Script.
+ * @param {object} columnType - { format, enum } from the schema cache.
+ * @returns {*} - The converted value (null for blank cells).
+ * @throws {Error} - With a short reason if the value doesn't fit the type.
+ */
+function coerceValue(value, columnType) {
+  if (isBlank(value)) return null;
+  const { format } = columnType;
+
+  if (format.endsWith('[]')) {
+    const elementFormat = format.slice(0, -2);
+    return toArrayElements(value).map(v => (isBlank(v) ? null : coerceScalar(v, elementFormat, columnType.enum)));
+  }
+  return coerceScalar(value, format, columnType.enum);
+}
+
+module.exports = {
+  coerceValue,
+  CoercionError,
+  UUID_REGEX
+};
@@ -1,5 +1,6 @@
 const crypto = require("crypto");
 const logger = require("./logger");
+const metrics = require("./metrics");
 
 // In-Memory Stores
 const fingerprintCache = new Map(); // key -> expiry timestamp
@@ -32,6 +33,11 @@ function createWebhookMiddleware(source) {
           `[SYSTEM ALERT] Idempotency key matched. Suppressed duplicate.`,
           { idempotencyKey, alertLevel: "amber" },
         );
+        metrics.recordEvent(
+          source,
+          metrics.tableLabel(source, req.body),
+          "deduplicated",
+        );
         return res.status(200).send("Idempotent OK");
       }
       idempotencyCache.set(idempotencyKey, now + IDEMPOTENCY_TTL_MS);
@@ -50,6 +56,11 @@ function createWebhookMiddleware(source) {
         `[SYSTEM ALERT] Duplicate event suppressed (fingerprint match: ${fingerprint})`,
         { source, alertLevel: "amber" },
       );
+      metrics.recordEvent(
+        source,
+        metrics.tableLabel(source, req.body),
+        "deduplicated",
+      );
       return res.status(200).send("Duplicate Suppressed");
     }
 
@@ -67,6 +78,11 @@ function createWebhookMiddleware(source) {
         `[CRITICAL ALERT] Loop breaker active for source '${source}'. Suppressed event.`,
         { source, alertLevel: "red" },
       );
+      metrics.recordEvent(
+        source,
+        metrics.tableLabel(source, req.body),
+        "loop_breaker_dropped",
+      );
       return res.status(429).send("Too Many Requests (Loop Breaker Pause)");
     }
 
@@ -82,6 +98,11 @@ function createWebhookMiddleware(source) {
           { source, alertLevel: "red" },
         );
         sourceHitCounters.set(source, counter);
+        metrics.recordEvent(
+          source,
+          metrics.tableLabel(source, req.body),
+          "loop_breaker_dropped",
+        );
         return res
           .status(429)
           .send("Too Many Requests (Loop Breaker Triggered)");
@@ -94,8 +115,33 @@ function createWebhookMiddleware(source) {
   };
 }
 
+/**
+ * Snapshot of the loop breaker for every source seen so far.
+ * @returns {object} - { [source]: { hits, windowStartedAt, paused, pausedUntil } }
+ */
+function getLoopBreakerState() {
+  const now = Date.now();
+  const state = {};
+  for (const [source, counter] of sourceHitCounters.entries()) {
+    const windowActive = now - counter.firstHitTime <= LOOP_WINDOW_MS;
+    state[source] = {
+      hits: windowActive ? counter.hits : 0,
+      windowStartedAt: windowActive
+        ? new Date(counter.firstHitTime).toISOString()
+        : null,
+      paused: counter.pauseUntil > now,
+      pausedUntil:
+        counter.pauseUntil > now
+          ? new Date(counter.pauseUntil).toISOString()
+          : null,
+    };
+  }
+  return state;
+}
+
 module.exports = {
   createWebhookMiddleware,
+  getLoopBreakerState,
   // Exported for internal testing overrides if needed
   _resetState() {
     fingerprintCache.clear();
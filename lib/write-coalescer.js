@@ -0,0 +1,88 @@
+const logger = require('./logger');
+
+/**
+ * Buffers writes per group (e.g. per table) for a short window and hands
+ * each group to `onFlush` as one batch. Every caller gets a promise that
+ * settles with the outcome of its own item.
+ */
+class WriteCoalescer {
+  /**
+   * @param {object} options
+   * @param {number} options.windowMs - How long to collect items before flushing.
+   * @param {number} options.maxBatchSize - Flush early once a group holds this many items.
+   * @param {Function} options.onFlush - async (groupKey, Map<itemKey, item>) => Map<itemKey, Error|null>
+   */
+  constructor({ windowMs = 250, maxBatchSize = 500, onFlush }) {
+    this.windowMs = windowMs;
+    this.maxBatchSize = maxBatchSize;
+    this.onFlush = onFlush;
+    this.groups = new Map(); // groupKey -> { items: Map<itemKey, { item, waiters }>, timer }
+  }
+
+  /**
+   * Adds an item to its group. A newer item with the same key replaces the
+   * buffered one; both callers settle with the outcome of the newer write.
+   * @returns {Promise<void>} - Resolves once the item landed, rejects with its error.
+   */
+  add(groupKey, itemKey, item) {
+    let group = this.groups.get(groupKey);
+    if (!group) {
+      group = { items: new Map(), timer: setTimeout(() => this.flush(groupKey), this.windowMs) };
+      this.groups.set(groupKey, group);
+    }
+
+    const existing = group.items.get(itemKey);
+    const waiters = existing ? existing.waiters : [];
+    const promise = new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    group.items.set(itemKey, { item, waiters });
+
+    if (group.items.size >= this.maxBatchSize) this.flush(groupKey);
+    return promise;
+  }
+
+  /**
+   * Flushes one group now (used before deletes so they can't overtake buffered writes).
+   */
+  async flush(groupKey) {
+    const group = this.groups.get(groupKey);
+    if (!group) return;
+    this.groups.delete(groupKey);
+    clearTimeout(group.timer);
+
+    const items = new Map([...group.items].map(([key, { item }]) => [key, item]));
+    let results = null;
+    let batchError = null;
+    try {
+      results = await this.onFlush(groupKey, items);
+    } catch (err) {
+      logger.error(`Batch flush failed for ${groupKey}: ${err.message}`, { items: items.size });
+      batchError = err;
+    }
+
+    group.items.forEach(({ waiters }, key) => {
+      const error = batchError ||
+        (results && results.has(key) ? results.get(key) : new Error(`No write result for ${key}`));
+      waiters.forEach(w => (error ? w.reject(error) : w.resolve()));
+    });
+  }
+
+  /**
+   * Flushes every buffered group (graceful shutdown).
+   */
+  flushAll() {
+    return Promise.all([...this.groups.keys()].map(key => this.flush(key)));
+  }
+
+  /**
+   * Number of items currently buffered across all groups.
+   */
+  get pendingCount() {
+    let count = 0;
+    this.groups.forEach(group => { count += group.items.size; });
+    return count;
+  }
+}
+
+module.exports = {
+  WriteCoalescer
+};
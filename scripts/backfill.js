@@ -1,98 +1,278 @@
+/**
+ * backfill.js
+ *
+ * Writes a Supabase table into its sheet tab.
+ *
+ * Usage:
+ *   node scripts/backfill.js <table> [--mode replace|upsert] [--since <iso>|last]
+ *                            [--cursor-column updated_at] [--batch-size 500] [--restart]
+ *                            [--spreadsheet <id>]
+ *
+ * --mode replace (default) rewrites the tab from row 2 down, batch by batch,
+ *   and only clears leftover rows below the data at the end. The tab is never
+ *   emptied while the run is in progress.
+ * --mode upsert updates rows in place where their key already exists and
+ *   appends the rest. Nothing is cleared.
+ * Rows outside the table's rowFilter are never written. Only replace mode
+ *   drops rows that stopped matching it from the tab.
+ * --since only backfills rows whose cursor column (default updated_at) is at or
+ *   after the timestamp. It implies upsert. "last" uses the start time of the
+ *   previous completed run.
+ *
+ * Progress is checkpointed in the state store after every batch. Re-running
+ * the same command resumes where an interrupted run stopped; --restart ignores
+ * the checkpoint.
+ *
+ * --spreadsheet picks which spreadsheet to write for a table mirrored into
+ * several (tenantColumn routing); only that spreadsheet's tenants are written.
+ */
+
+const { parseArgs } = require('util');
 const supabase = require('../lib/supabase-client');
-const { sheets, sheetId } = require('../lib/sheets-client');
-const redis = require('../lib/redis-client');
+const { sheets } = require('../lib/sheets-client');
+const store = require('../lib/state-store');
 const syncLogic = require('../lib/sync-logic');
+const tableConfig = require('../lib/table-config');
+const { default: pRetry } = require('p-retry');
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      mode: { type: 'string' },
+      since: { type: 'string' },
+      'cursor-column': { type: 'string', default: 'updated_at' },
+      'batch-size': { type: 'string', default: '500' },
+      restart: { type: 'boolean', default: false },
+      spreadsheet: { type: 'string' },
+    },
+  });
+  const mode = values.mode || (values.since ? 'upsert' : 'replace');
+  if (!['replace', 'upsert'].includes(mode)) {
+    throw new Error(`Unknown mode '${mode}'. Use replace or upsert.`);
+  }
+  if (values.since && mode === 'replace') {
+    throw new Error('--since only backfills part of the table, so it needs --mode upsert.');
+  }
+  const batchSize = Number(values['batch-size']);
+  if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error('--batch-size must be a positive integer.');
+
+  return {
+    tableName: positionals[0] || process.env.SUPABASE_TABLE_NAME || 'menu_items',
+    mode,
+    since: values.since || null,
+    cursorColumn: values['cursor-column'],
+    batchSize,
+    restart: values.restart,
+    spreadsheetId: values.spreadsheet || null,
+  };
+}
+
+// The state store only holds checkpoints and the row index cache; the backfill works without it
+async function readJson(key) {
+  const raw = await store.get(key).catch(() => null);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function writeJson(key, value) {
+  await store.set(key, JSON.stringify(value)).catch(err => {
+    console.warn(`Could not save ${key} (the run can't resume from here): ${err.message}`);
+  });
+}
+
+async function fetchPage(config, options, since, offset) {
+  const { data, error } = await pRetry(() => {
+    let query = tableConfig
+      .scopeQuery(tableConfig.fromTable(supabase, config).select('*'), config)
+      .range(offset, offset + options.batchSize - 1);
+    if (since) query = query.gte(options.cursorColumn, since);
+    // Primary key order keeps pages stable while the run is in progress
+    config.primaryKeys.forEach(key => {
+      query = query.order(key, { ascending: true });
+    });
+    return query;
+  }, { retries: 3 });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Reads every row so upserts can find existing rows by key. The whole width is
+ * read so lastRow also counts rows with blank key cells, which appends must not overwrite.
+ * @returns {Promise<{ rowIndexes: Map<string, number>, lastRow: number }>}
+ */
+async function readKeyIndex(config, keyIndexes, lastLetter) {
+  const response = await pRetry(() => sheets.spreadsheets.values.get({
+    spreadsheetId: config.spreadsheetId,
+    range: tableConfig.a1Range(config.sheet, `A:${lastLetter}`),
+  }), { retries: 3 });
+
+  const rows = response.data.values || [];
+  const rowIndexes = new Map();
+  rows.forEach((row, i) => {
+    if (i === 0) return; // Header
+    const parts = keyIndexes.map(k => row[k]);
+    if (parts.some(p => p === undefined || String(p).trim() === '')) return;
+    const id = tableConfig.encodeRowKey(parts);
+    if (!rowIndexes.has(id)) rowIndexes.set(id, i + 1);
+  });
+  // The API leaves out trailing blank rows, so this is the last row with any data
+  return { rowIndexes, lastRow: rows.length };
+}
+
+async function cacheRowIndexes(config, entries) {
+  if (entries.length === 0) return;
+  await store
+    .batch(entries.map(([id, row]) => ['set', tableConfig.rowStateKey('rowindex', config, id), row]))
+    .catch(err => console.warn(`Skipping row index update: ${err.message}`));
+}
 
 async function backfill() {
-  const tableName = process.argv[2] || process.env.SUPABASE_TABLE_NAME || 'menu_items';
-  console.log(`Starting backfill for table: ${tableName}...`);
-  
   try {
-    // 1. Fetch all rows from Supabase
-    // Using pagination for large tables
-    let hasMore = true;
-    let offset = 0;
-    const limit = 500;
-    let allRecords = [];
+    const options = parseCli();
+    const config = tableConfig.pickSheetTarget(tableConfig.getTableConfig(options.tableName), options.spreadsheetId);
+    const { table } = config;
+    const checkpointKey = `backfill:checkpoint:${config.spreadsheetId}:${table}`;
+    const cursorKey = `backfill:cursor:${config.spreadsheetId}:${table}`;
 
-    while (hasMore) {
-      const { data, error } = await supabase
-        .from(tableName)
-        .select('*')
-        .range(offset, offset + limit - 1)
-        .order('id', { ascending: true });
-
-      if (error) throw error;
-      
-      allRecords = allRecords.concat(data);
-      offset += limit;
-      hasMore = data.length === limit;
+    let since = options.since;
+    if (since === 'last') {
+      since = await store.get(cursorKey).catch(() => null);
+      if (!since) throw new Error(`No completed backfill recorded for ${table}; pass an explicit --since.`);
     }
+    if (since && isNaN(new Date(since).getTime())) throw new Error(`Invalid --since timestamp '${since}'.`);
 
-    console.log(`Fetched ${allRecords.length} records from Supabase.`);
+    console.log(`Starting ${options.mode} backfill for table: ${table} (tab '${config.sheet}' of ${config.spreadsheetId})${since ? ` since ${since}` : ''}...`);
 
-    // 2. Fetch headers from the target sheet
-    const headerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: `${tableName}!1:1`,
-    });
-    const headers = headerResponse.data.values ? headerResponse.data.values[0] : [];
-    if (headers.length === 0) throw new Error(`Sheet '${tableName}' has no headers.`);
-
-    // 3. Clear Sheet (keep headers) and write in batches
-    console.log(`Clearing existing data from Google Sheet...`);
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: sheetId,
-      range: `${tableName}!A2:ZZ`,
-    });
-    
-    console.log(`Writing batches to Google Sheet...`);
-    const batchSize = 500;
-    let currentRow = 2; // start after header
-    
-    for (let i = 0; i < allRecords.length; i += batchSize) {
-      const batch = allRecords.slice(i, i + batchSize);
-      const values = batch.map(record => syncLogic.mapSupabaseToSheets(record, headers));
-      
-      const endRowText = currentRow + values.length - 1;
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: sheetId,
-        range: `${tableName}!A${currentRow}:Z${endRowText}`,
-        valueInputOption: 'USER_ENTERED',
-        resource: { values },
-      });
-
-      console.log(`Processed batch ${Math.floor(i / batchSize) + 1} (Rows ${currentRow}-${endRowText})`);
-      currentRow += values.length;
-      
-      // Sleep to respect rate limits if needed
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    // Resume only a checkpoint of the same kind of run
+    let checkpoint = options.restart ? null : await readJson(checkpointKey);
+    if (checkpoint && (checkpoint.mode !== options.mode || checkpoint.since !== since)) {
+      console.log('Ignoring checkpoint from a different kind of run.');
+      checkpoint = null;
+    }
+    if (checkpoint) {
+      console.log(`Resuming from checkpoint: ${checkpoint.written} rows written (offset ${checkpoint.offset}).`);
+    } else {
+      checkpoint = {
+        mode: options.mode,
+        since,
+        offset: 0,
+        nextRow: 2, // replace mode: next sheet row to write
+        written: 0,
+        updated: 0,
+        appended: 0,
+        startedAt: new Date().toISOString(),
+      };
     }
 
-    // 4. Update Redis row index cache for tableName (Optional)
-    try {
-      console.log(`Attempting to update Redis row index cache for ${tableName}...`);
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: `${tableName}!A:A`,
-      });
-      const rows = response.data.values || [];
-      const multi = redis.multi();
-      rows.forEach((row, index) => {
-        if (index === 0) return; // Skip header
-        if (row[0]) {
-          multi.set(`rowindex:${tableName}:${row[0]}`, index + 1);
+    // Headers decide the column range, however wide the tab is
+    const headerResponse = await pRetry(() => sheets.spreadsheets.values.get({
+      spreadsheetId: config.spreadsheetId,
+      range: tableConfig.a1Range(config.sheet, '1:1'),
+    }), { retries: 3 });
+    const rawHeaders = headerResponse.data.values ? headerResponse.data.values[0] : [];
+    if (rawHeaders.length === 0) throw new Error(`Sheet '${config.sheet}' has no headers.`);
+    const headers = tableConfig.resolveColumns(rawHeaders, config);
+    const lastLetter = tableConfig.columnLetter(headers.length - 1);
+    const keyIndexes = tableConfig.getKeyIndexes(headers, config);
+    if (!keyIndexes) throw new Error(`Sheet '${config.sheet}' is missing key column(s): ${config.primaryKeys.join(', ')}.`);
+
+    const keyIndex = options.mode === 'upsert' ? await readKeyIndex(config, keyIndexes, lastLetter) : null;
+
+    let hasMore = true;
+    while (hasMore) {
+      const batch = await fetchPage(config, options, since, checkpoint.offset);
+      hasMore = batch.length === options.batchSize;
+      if (batch.length === 0) break;
+
+      const cached = [];
+      if (options.mode === 'replace') {
+        // Overwrite rows in place; ignored columns (null) keep their cells
+        const values = batch.map(record => syncLogic.mapSupabaseToSheets(record, headers));
+        const endRow = checkpoint.nextRow + values.length - 1;
+        await pRetry(() => sheets.spreadsheets.values.update({
+          spreadsheetId: config.spreadsheetId,
+          range: tableConfig.a1Range(config.sheet, `A${checkpoint.nextRow}:${lastLetter}${endRow}`),
+          valueInputOption: 'USER_ENTERED',
+          resource: { values },
+        }), { retries: 3 });
+        batch.forEach((record, i) => cached.push([tableConfig.getRowKey(record, config), checkpoint.nextRow + i]));
+        console.log(`Wrote rows ${checkpoint.nextRow}-${endRow}`);
+        checkpoint.nextRow = endRow + 1;
+      } else {
+        const updates = [];
+        const appends = [];
+        batch.forEach(record => {
+          const id = tableConfig.getRowKey(record, config);
+          const row = keyIndex.rowIndexes.get(id);
+          if (row) updates.push({ id, row, record });
+          else appends.push({ id, record });
+        });
+
+        if (updates.length > 0) {
+          await pRetry(() => sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: config.spreadsheetId,
+            resource: {
+              valueInputOption: 'USER_ENTERED',
+              data: updates.map(u => ({
+                range: tableConfig.a1Range(config.sheet, `A${u.row}:${lastLetter}${u.row}`),
+                values: [syncLogic.mapSupabaseToSheets(u.record, headers)],
+              })),
+            },
+          }), { retries: 3 });
+          updates.forEach(u => cached.push([u.id, u.row]));
+        }
+
+        if (appends.length > 0) {
+          // Write below the last known row so the new row numbers are known
+          const startRow = keyIndex.lastRow + 1;
+          const endRow = startRow + appends.length - 1;
+          await pRetry(() => sheets.spreadsheets.values.update({
+            spreadsheetId: config.spreadsheetId,
+            range: tableConfig.a1Range(config.sheet, `A${startRow}:${lastLetter}${endRow}`),
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: appends.map(a => syncLogic.mapSupabaseToSheets(a.record, headers)) },
+          }), { retries: 3 });
+          appends.forEach((a, i) => {
+            keyIndex.rowIndexes.set(a.id, startRow + i);
+            cached.push([a.id, startRow + i]);
+          });
+          keyIndex.lastRow = endRow;
         }
-      });
-      await multi.exec();
-      console.log('Redis cache updated successfully.');
-    } catch (redisError) {
-      console.warn(`Skipping Redis cache update: ${redisError.message}`);
+
+        checkpoint.updated += updates.length;
+        checkpoint.appended += appends.length;
+        console.log(`Batch at offset ${checkpoint.offset}: ${updates.length} updated, ${appends.length} appended`);
+      }
+
+      await cacheRowIndexes(config, cached);
+      checkpoint.offset += batch.length;
+      checkpoint.written += batch.length;
+      await writeJson(checkpointKey, { ...checkpoint, updatedAt: new Date().toISOString() });
+
+      // Sleep to respect rate limits if needed
+      if (hasMore) await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (options.mode === 'replace') {
+      // Remove rows left over from a longer previous version of the tab
+      console.log(`Clearing leftover rows from row ${checkpoint.nextRow}...`);
+      await pRetry(() => sheets.spreadsheets.values.clear({
+        spreadsheetId: config.spreadsheetId,
+        range: tableConfig.a1Range(config.sheet, `A${checkpoint.nextRow}:${lastLetter}`),
+      }), { retries: 3 });
     }
 
-    console.log('Backfill completed successfully.');
+    await store.del(checkpointKey).catch(() => {});
+    await store.set(cursorKey, checkpoint.startedAt).catch(() => {});
+    console.log(
+      `Backfill completed successfully: ${checkpoint.written} rows` +
+      (options.mode === 'upsert' ? ` (${checkpoint.updated} updated, ${checkpoint.appended} appended)` : '') +
+      `. Next incremental run: --since last (${checkpoint.startedAt}).`
+    );
   } catch (error) {
     console.error('Backfill failed:', error);
+    process.exitCode = 1;
   } finally {
     process.exit();
   }
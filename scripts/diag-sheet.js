@@ -3,9 +3,10 @@ const { sheets, sheetId } = require('../lib/sheets-client');
 
 async function run() {
   const table = process.argv[2] || 'menu_items';
-  console.log('Fetching', table, 'from sheet', sheetId);
+  const spreadsheetId = process.argv[3] || sheetId;
+  console.log('Fetching', table, 'from sheet', spreadsheetId);
   const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: sheetId,
+    spreadsheetId,
     range: `${table}!A1:Z5`
   });
   console.log(JSON.stringify(res.data.values, null, 2));
@@ -0,0 +1,84 @@
+/**
+ * pg-source.js
+ *
+ * Manages the LISTEN/NOTIFY triggers for a plain Postgres source (PG_SOURCE_URL).
+ *
+ * Usage:
+ *   node scripts/pg-source.js install [table...]    Create the trigger function, outbox and triggers
+ *   node scripts/pg-source.js uninstall [table...]  Drop the triggers
+ *   node scripts/pg-source.js listen [table...]     Print change events as JSON lines (Ctrl+C to stop)
+ *
+ * Tables default to every table in the mirror config. `listen` only needs
+ * Postgres, so it can be pointed at a local database to check the triggers.
+ */
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { Client } = require('pg');
+const tableConfig = require('../lib/table-config');
+const logger = require('../lib/logger');
+const { PgNotifySource, installTriggers, uninstallTriggers, DEFAULT_CHANNEL } = require('../lib/pg-source');
+
+// stdout carries the events, so logs go to stderr
+logger.transports.forEach(transport => {
+  transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+});
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      channel: { type: 'string', default: process.env.PG_SOURCE_CHANNEL || DEFAULT_CHANNEL },
+    },
+  });
+  const [command, ...tables] = positionals;
+  if (!['install', 'uninstall', 'listen'].includes(command)) {
+    throw new Error('Usage: pg-source.js install|uninstall|listen [table...] [--channel name]');
+  }
+  if (!process.env.PG_SOURCE_URL) throw new Error('PG_SOURCE_URL is not set.');
+
+  const configs = tables.length > 0
+    ? tables.map(table => tableConfig.getTableConfig(table))
+    : tableConfig.listTableConfigs();
+  if (configs.length === 0 && command !== 'listen') {
+    throw new Error('No tables given and none in the mirror config.');
+  }
+  return { command, configs, channel: values.channel };
+}
+
+async function run() {
+  const { command, configs, channel } = parseCli();
+
+  if (command === 'listen') {
+    const source = new PgNotifySource({
+      connectionString: process.env.PG_SOURCE_URL,
+      tables: configs,
+      channel,
+      onChange: async body => {
+        process.stdout.write(JSON.stringify(body) + '\n');
+      },
+    });
+    process.on('SIGINT', () => source.stop().then(() => process.exit(0)));
+    await source.start();
+    return;
+  }
+
+  const client = new Client({ connectionString: process.env.PG_SOURCE_URL });
+  await client.connect();
+  try {
+    if (command === 'install') {
+      await installTriggers(client, configs, channel);
+      logger.info(`Installed triggers on channel '${channel}'`, { tables: configs.map(c => `${c.schema}.${c.table}`) });
+    } else {
+      await uninstallTriggers(client, configs);
+      logger.info('Removed triggers', { tables: configs.map(c => `${c.schema}.${c.table}`) });
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+run().catch(error => {
+  logger.error(`pg-source failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,73 +1,155 @@
-const supabase = require('../lib/supabase-client');
-const { sheets, sheetId } = require('../lib/sheets-client');
-const syncLogic = require('../lib/sync-logic');
+/**
+ * reconcile.js
+ *
+ * Compares a Supabase table with its sheet tab and repairs the differences.
+ *
+ * Usage:
+ *   node scripts/reconcile.js <table> [--dry-run] [--format json|csv] [--output <file>]
+ *                             [--spreadsheet <id>]
+ *
+ * --dry-run prints a structured diff (missing on each side, field-level
+ * differences, duplicate keys in the sheet) without changing anything.
+ * A real run upserts sheet-only and sheet-newer rows into Supabase, updates
+ * DB-newer rows in place in the sheet, appends DB-only rows and reports what
+ * it changed.
+ *
+ * Tables with a one-way direction are only repaired that way: a db_to_sheet
+ * table takes the database values and never writes sheet-only rows back, and
+ * a sheet_to_db table takes the sheet values and ignores database-only rows.
+ *
+ * --spreadsheet picks which spreadsheet to compare for a table mirrored into
+ * several (tenantColumn routing); only that spreadsheet's tenants are compared.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const tombstones = require('../lib/tombstones');
+const tableConfig = require('../lib/table-config');
+const schemaCache = require('../lib/schema-cache');
+const reconciler = require('../lib/reconciler');
 const logger = require('../lib/logger');
-const { default: pRetry } = require('p-retry');
 
-async function reconcile() {
-  const tableName = process.argv[2] || process.env.SUPABASE_TABLE_NAME || 'menu_items';
-  logger.info(`Running reconciliation job for table: ${tableName}...`);
+// stdout carries the report, so logs go to stderr
+logger.transports.forEach(transport => {
+  transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+});
 
-  try {
-    const { data: supabaseRecords, error } = await pRetry(() => supabase
-      .from(tableName)
-      .select('*'), { retries: 3 });
-    if (error) throw error;
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      format: { type: 'string', default: 'json' },
+      output: { type: 'string' },
+      spreadsheet: { type: 'string' },
+    },
+  });
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`Unknown format '${values.format}'. Use json or csv.`);
+  }
+  return {
+    tableName: positionals[0] || process.env.SUPABASE_TABLE_NAME || 'menu_items',
+    dryRun: values['dry-run'],
+    format: values.format,
+    output: values.output,
+    spreadsheetId: values.spreadsheet || null,
+  };
+}
 
-    const sheetsResponse = await pRetry(() => sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: `${tableName}!1:5000`, // Support bulk fetch
-    }), { retries: 3 });
-    const sheetsRows = sheetsResponse.data.values || [];
-    const headers = sheetsRows[0] || [];
-    const sheetsData = sheetsRows.slice(1).map(row => syncLogic.mapSheetsToSupabase(row, headers));
+/**
+ * Dry-run report without the full records (only what differs).
+ */
+function toReport(diff) {
+  return {
+    summary: reconciler.summarize(diff),
+    missingInSupabase: diff.missingInSupabase.map(({ id, row }) => ({ id, row })),
+    missingInSheet: diff.missingInSheet.map(({ id }) => ({ id })),
+    differences: diff.differences.map(({ id, row, fields, winner }) => ({ id, row, winner, fields })),
+    duplicatesInSheet: diff.duplicatesInSheet,
+    unreadableRows: diff.unreadableRows,
+    tombstonedInSheet: diff.tombstonedInSheet,
+  };
+}
 
-    const supabaseMap = new Map(supabaseRecords.map(r => [r.id, r]));
-    const sheetsMap = new Map(sheetsData.map(r => [r.id, r]));
-    const allIds = new Set([...supabaseMap.keys(), ...sheetsMap.keys()]);
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    let sheetUpdates = [];
+function toCsv(diff) {
+  const lines = [['type', 'id', 'row', 'field', 'sheet_value', 'supabase_value', 'detail']];
+  diff.missingInSupabase.forEach(d => lines.push(['missing_in_supabase', d.id, d.row, '', '', '', '']));
+  diff.missingInSheet.forEach(d => lines.push(['missing_in_sheet', d.id, '', '', '', '', '']));
+  diff.differences.forEach(d => d.fields.forEach(f => {
+    lines.push(['field_difference', d.id, d.row, f.field, f.sheet, f.supabase, `winner=${d.winner}`]);
+  }));
+  diff.duplicatesInSheet.forEach(d => lines.push(['duplicate_in_sheet', d.id, d.rows.join(' '), '', '', '', '']));
+  diff.unreadableRows.forEach(d => lines.push(['unreadable_row', d.id, d.row, '', '', '', d.error]));
+  diff.tombstonedInSheet.forEach(d => lines.push(['tombstoned_in_sheet', d.id, d.row, '', '', '', '']));
+  return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
 
-    for (const id of allIds) {
-      const supabaseRecord = supabaseMap.get(id);
-      const sheetsRecord = sheetsMap.get(id);
+async function reconcile() {
+  try {
+    const options = parseCli();
+    const config = tableConfig.pickSheetTarget(tableConfig.getTableConfig(options.tableName), options.spreadsheetId);
+    logger.info(`Running reconciliation job for table: ${config.table} (spreadsheet ${config.spreadsheetId})${options.dryRun ? ' (dry run)' : ''}...`);
 
-      if (!supabaseRecord && sheetsRecord) {
-        logger.info(`Row ${id} missing in Supabase. Adding...`);
-        const record = syncLogic.mapSheetsToSupabase(sheetsRecord, headers);
-        await pRetry(() => supabase.from(tableName).upsert(record), { retries: 3 });
-      } else if (supabaseRecord && !sheetsRecord) {
-        logger.info(`Row ${id} missing in Sheets. Queuing add...`);
-        sheetUpdates.push(syncLogic.mapSupabaseToSheets(supabaseRecord, headers));
-      } else if (supabaseRecord && sheetsRecord) {
-        const sTime = new Date(supabaseRecord.synced_at).getTime();
-        const shTime = new Date(sheetsRecord.synced_at).getTime();
+    const [records, sheet, deletedIds, columnTypes] = await Promise.all([
+      reconciler.fetchAllRecords(config),
+      reconciler.fetchSheet(config),
+      tombstones.getTombstonedIds(config.table),
+      schemaCache.getColumnTypes(config).catch(err => {
+        logger.warn(`Schema lookup failed, using name-based types: ${err.message}`);
+        return null;
+      }),
+    ]);
+    const columns = tableConfig.resolveColumns(sheet.headers, config);
+    const diff = reconciler.diffTable(config, columns, sheet.rows, records, columnTypes, deletedIds);
 
-        if (Math.abs(sTime - shTime) > 5000) {
-          logger.info(`Discrepancy found for row ${id}. Resolving...`);
-          if (sTime > shTime) {
-            sheetUpdates.push(syncLogic.mapSupabaseToSheets(supabaseRecord, headers));
-          } else {
-            const record = syncLogic.mapSheetsToSupabase(sheetsRecord, headers);
-            await pRetry(() => supabase.from(tableName).upsert(record), { retries: 3 });
-          }
-        }
+    if (options.dryRun) {
+      const output = options.format === 'csv'
+        ? toCsv(diff)
+        : JSON.stringify(toReport(diff), null, 2) + '\n';
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        logger.info(`Wrote diff to ${options.output}`, reconciler.summarize(diff));
+      } else {
+        process.stdout.write(output);
       }
+      return;
     }
 
-    if (sheetUpdates.length > 0) {
-      logger.info(`Pushing ${sheetUpdates.length} updates to Sheets...`);
-      await pRetry(() => sheets.spreadsheets.values.append({
-        spreadsheetId: sheetId,
-        range: `${tableName}!1:1`,
-        valueInputOption: 'USER_ENTERED',
-        resource: { values: sheetUpdates },
-      }), { retries: 3 });
-    }
+    const { toSupabase, sheetUpdates, sheetAppends } = await reconciler.applyDiff(
+      config,
+      columns,
+      diff,
+      message => logger.info(message)
+    );
 
+    const report = {
+      ...reconciler.summarize(diff),
+      changed: {
+        upsertedToSupabase: toSupabase.map(r => tableConfig.getRowKey(r, config)),
+        updatedInSheet: sheetUpdates.map(u => ({ id: tableConfig.getRowKey(u.record, config), row: u.row })),
+        appendedToSheet: sheetAppends.map(r => tableConfig.getRowKey(r, config)),
+      },
+      // Left for a human: reconcile never deletes or merges duplicate rows
+      needsAttention: {
+        duplicatesInSheet: diff.duplicatesInSheet,
+        unreadableRows: diff.unreadableRows,
+        ...(config.direction === 'db_to_sheet' && {
+          // Typed into a read-only tab; remove them from the sheet
+          sheetOnlyRows: diff.missingInSupabase.map(({ id, row }) => ({ id, row })),
+        }),
+      },
+    };
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
     logger.info('Reconciliation completed.');
   } catch (error) {
     logger.error('Reconciliation failed', { error: error.message });
+    process.exitCode = 1;
   } finally {
     process.exit();
   }
@@ -0,0 +1,90 @@
+/**
+ * replay-errors.js
+ *
+ * Lists, replays and discards entries in the sync_errors dead-letter table
+ * through the middleware's admin API, so replays run the same handlers as
+ * live webhooks.
+ *
+ * Usage:
+ *   node scripts/replay-errors.js list    [--table t] [--source s] [--status pending,failed]
+ *                                          [--since iso] [--until iso] [--error text] [--limit n]
+ *   node scripts/replay-errors.js replay  --id 12 --id 15        (specific entries)
+ *   node scripts/replay-errors.js replay  [filters as for list]  (defaults to pending + failed)
+ *   node scripts/replay-errors.js discard --id 12 --id 15
+ *
+ * Needs MIDDLEWARE_URL (default http://localhost:3000) and ADMIN_API_TOKEN.
+ */
+
+const axios = require('axios');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const BASE_URL = process.env.MIDDLEWARE_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = (process.env.ADMIN_API_TOKEN || '').replace(/^"|"$/g, '');
+
+const FILTER_OPTIONS = ['table', 'source', 'status', 'since', 'until', 'error', 'limit'];
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      id: { type: 'string', multiple: true },
+      ...Object.fromEntries(FILTER_OPTIONS.map(name => [name, { type: 'string' }])),
+    },
+  });
+  const filters = {};
+  FILTER_OPTIONS.forEach(name => {
+    if (values[name] !== undefined) filters[name] = values[name];
+  });
+  const ids = (values.id || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+  return { command: positionals[0], ids, filters };
+}
+
+function admin() {
+  return axios.create({
+    baseURL: BASE_URL,
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    timeout: 300000, // Replays run one entry at a time
+  });
+}
+
+function printEntries(entries) {
+  entries.forEach(e => {
+    const table = e.payload && e.payload.table;
+    console.log(
+      `#${e.id}  ${e.created_at}  ${e.source}/${table}  [${e.status || 'pending'}, ${e.attempts || 0} attempt(s)]`
+    );
+    console.log(`    ${e.last_error || e.error_message}`);
+  });
+  console.log(`\n${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+}
+
+async function run() {
+  const { command, ids, filters } = parseCli();
+  if (!ADMIN_TOKEN) throw new Error('ADMIN_API_TOKEN is not set');
+
+  if (command === 'list') {
+    const { data } = await admin().get('/admin/sync-errors', { params: filters });
+    printEntries(data.entries);
+  } else if (command === 'replay') {
+    const body = ids.length > 0 ? { ids } : { filters };
+    const { data } = await admin().post('/admin/sync-errors/replay', body);
+    data.results.forEach(r => {
+      console.log(`#${r.id}: ${r.status} (attempt ${r.attempts})${r.last_error ? ` - ${r.last_error}` : ''}`);
+    });
+    console.log(`\nReplayed ${data.replayed}, failed again ${data.failed}`);
+    if (data.failed > 0) process.exitCode = 1;
+  } else if (command === 'discard') {
+    if (ids.length === 0) throw new Error('discard needs at least one --id');
+    const { data } = await admin().post('/admin/sync-errors/discard', { ids });
+    console.log(`Discarded ${data.discarded} entr${data.discarded === 1 ? 'y' : 'ies'}`);
+  } else {
+    throw new Error(`Unknown command '${command || ''}'. Use list, replay or discard.`);
+  }
+}
+
+run().catch(err => {
+  const detail = err.response ? `HTTP ${err.response.status}: ${JSON.stringify(err.response.data)}` : err.message;
+  console.error('Replay tool failed:', detail);
+  process.exit(1);
+});